@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Ex Certificate Scanner — command-line batch extraction
+ * Scans certificate PDFs and text files (or directories of them) and
+ * writes the results as JSON or as CSV with the app's export columns.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { ExExtract, ExExport } = require('../js/index.cjs');
+
+const USAGE = `Usage: exscanner [options] <file or directory>...
+
+Scans .pdf and .txt certificates and writes one result per file.
+
+Options:
+  -f, --format <json|csv>  Output format (default: from --out, else json)
+  -o, --out <file>         Write to a file instead of standard output
+  -r, --recursive          Also scan subdirectories
+      --ocr                OCR scanned pages (needs tesseract.js and canvas)
+      --ocr-lang <langs>   Tesseract languages, e.g. eng+deu (default: eng)
+      --raw                Keep the extracted text in JSON output
+      --warn-days <n>      Expiry warning window for the validity column (default: 90)
+  -q, --quiet              No progress messages
+  -h, --help               Show this help`;
+
+const EXTENSIONS = ['.pdf', '.txt'];
+
+function options() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f' },
+            out: { type: 'string', short: 'o' },
+            recursive: { type: 'boolean', short: 'r' },
+            ocr: { type: 'boolean' },
+            'ocr-lang': { type: 'string' },
+            raw: { type: 'boolean' },
+            'warn-days': { type: 'string' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    const format = values.format || (values.out && path.extname(values.out).toLowerCase() === '.csv' ? 'csv' : 'json');
+    if (!['json', 'csv'].includes(format)) throw new Error(`Unknown format "${format}"`);
+    const warnDays = values['warn-days'] == null ? 90 : parseInt(values['warn-days']);
+    if (!Number.isInteger(warnDays) || warnDays < 0) throw new Error('--warn-days needs a whole number of days');
+    return { ...values, format, warnDays, inputs: positionals };
+}
+
+// Certificate files under the given paths, in name order
+function collect(inputs, recursive) {
+    const files = [];
+    const walk = dir => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (recursive) walk(full);
+            } else if (entry.isFile() && EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                files.push(full);
+            }
+        }
+    };
+    for (const input of inputs) {
+        const stat = fs.statSync(input);
+        if (stat.isDirectory()) walk(input);
+        else files.push(input);
+    }
+    return files;
+}
+
+function optional(name, purpose) {
+    try {
+        return require(name);
+    } catch {
+        throw new Error(`${purpose} needs the "${name}" package: npm install ${name}`);
+    }
+}
+
+// pdf.js, quiet: it logs warnings to standard output, which carries the
+// results. Loading it without the canvas package (only OCR renders) warns.
+function pdfjs() {
+    const log = console.log;
+    console.log = () => {};
+    let lib;
+    try {
+        lib = optional('pdfjs-dist/legacy/build/pdf.js', 'Reading PDFs');
+    } finally {
+        console.log = log;
+    }
+    return { getDocument: params => lib.getDocument({ ...params, verbosity: 0, isEvalSupported: false }) };
+}
+
+function ocrHooks(lang) {
+    const { createWorker } = optional('tesseract.js', 'OCR');
+    const { createCanvas } = optional('canvas', 'OCR');
+    return { lang, createWorker, createCanvas, toImage: canvas => canvas.toBuffer('image/png') };
+}
+
+async function scan(file, opts, log) {
+    const fileName = path.basename(file);
+    if (path.extname(file).toLowerCase() === '.txt') {
+        return ExExtract.buildResult(fs.readFileSync(file, 'utf8'), { fileName });
+    }
+    const { text, usedOcr, scannedPages, ocr } = await ExExtract.extractText(new Uint8Array(fs.readFileSync(file)), {
+        pdfjs: opts.pdfjs,
+        ocr: opts.ocr ? opts.ocrHooks : false,
+        onStatus: msg => log(`  ${msg}`)
+    });
+    if (!opts.ocr && scannedPages.length) {
+        log(`  ${fileName}: no text layer on page ${scannedPages.join(', ')}; rerun with --ocr to read it`);
+    }
+    return ExExtract.buildResult(text, { fileName, usedOcr, ocr });
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = options();
+    } catch (err) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (opts.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!opts.inputs.length) {
+        console.error(USAGE);
+        return 2;
+    }
+    const log = opts.quiet ? () => {} : msg => console.error(msg);
+
+    let files;
+    try {
+        files = collect(opts.inputs, opts.recursive);
+        if (files.some(f => path.extname(f).toLowerCase() === '.pdf')) {
+            opts.pdfjs = pdfjs();
+            if (opts.ocr) opts.ocrHooks = ocrHooks(opts['ocr-lang']);
+        }
+    } catch (err) {
+        console.error(err.message);
+        return 2;
+    }
+
+    const results = [];
+    let failed = 0;
+    for (const [i, file] of files.entries()) {
+        log(`[${i + 1}/${files.length}] ${file}`);
+        try {
+            results.push(await scan(file, opts, log));
+        } catch (err) {
+            failed++;
+            console.error(`  Failed: ${err.message}`);
+        }
+    }
+
+    const output = opts.format === 'csv'
+        ? ExExport.toCsv(results, { warnDays: opts.warnDays }) + '\n'
+        : JSON.stringify(opts.raw ? results : results.map(({ raw, ...r }) => r), null, 2) + '\n';
+    if (opts.out) fs.writeFileSync(opts.out, output);
+    else process.stdout.write(output);
+
+    log(`${results.length} scanned, ${failed} failed`);
+    return failed ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; }).catch(err => {
+    console.error(`exscanner: ${err.message}`);
+    process.exitCode = 1;
+});
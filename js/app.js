@@ -15,10 +15,50 @@
     const confidenceFill = document.getElementById('confidenceFill');
     const confidencePct = document.getElementById('confidencePct');
     const historyList = document.getElementById('historyList');
+    const historyStatus = document.getElementById('historyStatus');
+    const historySort = document.getElementById('historySort');
+    const historySearch = document.getElementById('historySearch');
+    const historyGroup = document.getElementById('historyGroup');
+    const historyEpl = document.getElementById('historyEpl');
+    const historyManufacturer = document.getElementById('historyManufacturer');
+    const historyCertType = document.getElementById('historyCertType');
+    const historyCount = document.getElementById('historyCount');
+    const importReview = document.getElementById('importReview');
+    const historyCurrentOnly = document.getElementById('historyCurrentOnly');
+    const revisionsSection = document.getElementById('revisionsSection');
+    const revisionsEl = document.getElementById('revisions');
+    const expiryWindowInput = document.getElementById('expiryWindow');
+    const queueEl = document.getElementById('queue');
+    const queueList = document.getElementById('queueList');
+    const queueFill = document.getElementById('queueFill');
+    const queuePct = document.getElementById('queuePct');
+    const queueStatus = document.getElementById('queueStatus');
+    const queueSummary = document.getElementById('queueSummary');
+    const backToQueue = document.getElementById('backToQueue');
+    const sourcePreview = document.getElementById('sourcePreview');
+    const suitabilityForm = document.getElementById('suitabilityForm');
+    const suitabilityVerdict = document.getElementById('suitabilityVerdict');
+    const loopForm = document.getElementById('loopForm');
+    const loopReport = document.getElementById('loopReport');
+    const cameraInput = document.getElementById('cameraInput');
+    const nameplateEl = document.getElementById('nameplate');
+    const nameplateCard = document.getElementById('nameplateCard');
+    const nameplateVerdict = document.getElementById('nameplateVerdict');
 
     // State
     let currentResult = null;
-    const STORAGE_KEY = 'exscanner_history';
+    const queue = [];
+    let queueRunning = false;
+    let scanController = null; // aborts the scan in progress
+    let nameplateReport = null;
+    const EXPIRY_WINDOW_KEY = 'exscanner_expiry_window';
+
+    // Stored-result helpers, shared with the command-line tool
+    const {
+        markingsOf, ratingsOf, normalized, warningsOf, certPartsOf, productOf, variantsOf,
+        activeCorrections, checkedConditions, checklistProgress, iecEquivalent, ratingText, ambientText,
+        ENTITY_PARAMS
+    } = ExExport;
 
     // === Navigation ===
     document.querySelectorAll('.nav-links a[href^="#"]').forEach(link => {
@@ -54,99 +94,270 @@
     dropZone.addEventListener('click', () => fileInput.click());
     dropZone.addEventListener('dragover', e => { e.preventDefault(); dropZone.classList.add('dragover'); });
     dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
-    dropZone.addEventListener('drop', e => {
+    dropZone.addEventListener('drop', async e => {
         e.preventDefault();
         dropZone.classList.remove('dragover');
-        const file = e.dataTransfer.files[0];
-        if (file && file.type === 'application/pdf') processFile(file);
+        const files = await collectDroppedFiles(e.dataTransfer);
+        handleFiles(files);
     });
     fileInput.addEventListener('change', () => {
-        if (fileInput.files[0]) processFile(fileInput.files[0]);
+        handleFiles([...fileInput.files]);
+    });
+    document.getElementById('cameraButton')?.addEventListener('click', e => {
+        e.stopPropagation();
+        cameraInput.click();
+    });
+    cameraInput.addEventListener('change', () => {
+        if (cameraInput.files.length) processNameplate(cameraInput.files[0]);
+        cameraInput.value = '';
     });
 
+    function isPdf(file) {
+        return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    }
+
+    function isImage(file) {
+        return ['image/jpeg', 'image/png'].includes(file.type) || /\.(?:jpe?g|png)$/i.test(file.name);
+    }
+
+    // PDFs are certificates; a photo on its own is a nameplate to check
+    function handleFiles(files) {
+        const pdfs = files.filter(isPdf);
+        const images = files.filter(isImage);
+        if (!pdfs.length && images.length) {
+            if (images.length > 1) toast('Nameplate photos are checked one at a time');
+            return processNameplate(images[0]);
+        }
+        if (!pdfs.length) return toast('No PDF or image files found');
+        if (images.length) toast('Photos are skipped in a batch; drop a nameplate photo on its own');
+        if (pdfs.length === 1 && !queue.length) return processFile(pdfs[0]);
+        enqueue(pdfs);
+    }
+
+    // Dropped folders arrive as directory entries; walk them for files.
+    // Entries must be taken synchronously, before the drop event ends.
+    async function collectDroppedFiles(dataTransfer) {
+        const entries = [...(dataTransfer.items || [])]
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+        if (!entries.length) return [...dataTransfer.files];
+
+        const files = [];
+        for (const entry of entries) await walkEntry(entry, files);
+        return files;
+    }
+
+    async function walkEntry(entry, files) {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            return;
+        }
+        if (!entry.isDirectory) return;
+        const reader = entry.createReader();
+        const children = [];
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length);
+        children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        for (const child of children) await walkEntry(child, files);
+    }
+
     // === PDF Processing ===
     async function processFile(file) {
         dropZone.style.display = 'none';
         results.style.display = 'none';
+        nameplateEl.style.display = 'none';
         processing.style.display = '';
+        const status = processing.querySelector('p');
+        scanController = new AbortController();
 
         try {
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-
-            // Step 1: Try text extraction with pdf.js
-            let fullText = '';
-            for (let i = 1; i <= pdf.numPages; i++) {
-                const page = await pdf.getPage(i);
-                const content = await page.getTextContent();
-                const pageText = content.items.map(item => item.str).join(' ');
-                fullText += pageText + '\n\n';
-            }
+            const result = await scanFile(file, msg => { status.textContent = msg; }, scanController.signal);
+            currentResult = result;
+            renderResults(result, result.confidence);
+            rawText.textContent = result.raw;
+        } catch (err) {
+            scanFailed(err, 'Failed to process PDF');
+        } finally {
+            scanController = null;
+        }
+    }
 
-            // Step 2: If text is too short, it's likely a scanned/image PDF → use OCR
-            const strippedText = fullText.replace(/\s+/g, '').trim();
-            let usedOcr = false;
+    function scanFailed(err, title) {
+        if (err.name === 'AbortError') {
+            processing.style.display = 'none';
+            dropZone.style.display = '';
+            fileInput.value = '';
+            toast('Scan cancelled');
+            return;
+        }
+        console.error('Scan error:', err);
+        processing.innerHTML = `
+            <div style="color: #f85149; text-align: center; padding: 40px;">
+                <p style="font-size: 1.2rem; margin-bottom: 8px;">${esc(title)}</p>
+                <p style="color: #8b949e;">${esc(err.message || 'Unknown error')}</p>
+                <button class="btn btn-secondary" style="margin-top: 16px;" onclick="location.reload()">Try Again</button>
+            </div>
+        `;
+    }
 
-            if (strippedText.length < 50) {
-                processing.querySelector('p').textContent = 'Scanned PDF detected — running OCR (this may take 30-60 seconds)...';
-                fullText = await ocrPdf(pdf);
-                usedOcr = true;
-            }
+    document.getElementById('cancelScan')?.addEventListener('click', () => scanController?.abort());
 
-            // Parse
-            const parsed = ExParser.parse(fullText);
-            const conf = ExParser.confidence(parsed);
-            currentResult = {
-                ...parsed,
-                fileName: file.name,
-                scannedAt: new Date().toISOString(),
-                confidence: conf,
-                usedOcr: usedOcr
-            };
+    // Extract, parse and store one PDF. Progress messages go to onStatus;
+    // `signal` cancels the scan.
+    async function scanFile(file, onStatus, signal) {
+        const { text, boxes, usedOcr, ocr, pdf } = await ExExtract.extractText(await file.arrayBuffer(), { onStatus, signal });
+        const result = ExExtract.buildResult(text, { fileName: file.name, usedOcr, ocr });
 
-            // Save to history
-            saveToHistory(currentResult);
+        sources.set(result, { pdf, boxes });
 
-            // Render
-            renderResults(currentResult, conf);
-            rawText.textContent = fullText;
+        // Save to the register, with the original PDF
+        result.id = await ExRegister.add(result, file);
+        return result;
+    }
 
-        } catch (err) {
-            console.error('PDF processing error:', err);
-            processing.innerHTML = `
-                <div style="color: #f85149; text-align: center; padding: 40px;">
-                    <p style="font-size: 1.2rem; margin-bottom: 8px;">Failed to process PDF</p>
-                    <p style="color: #8b949e;">${err.message || 'Unknown error'}</p>
-                    <button class="btn btn-secondary" style="margin-top: 16px;" onclick="location.reload()">Try Again</button>
-                </div>
-            `;
+    // === Batch Queue ===
+    // Files are scanned one at a time, in drop order. Failed entries stay in
+    // the table with Retry / Skip until the user deals with them.
+    function enqueue(files) {
+        files.forEach(file => queue.push({ file, status: 'pending', message: '', result: null }));
+        dropZone.style.display = 'none';
+        results.style.display = 'none';
+        queueEl.style.display = '';
+        renderQueue();
+        runQueue();
+    }
+
+    async function runQueue() {
+        if (queueRunning) return;
+        queueRunning = true;
+        let item;
+        while ((item = queue.find(q => q.status === 'pending'))) {
+            item.status = 'processing';
+            item.message = 'Reading PDF...';
+            item.controller = new AbortController();
+            renderQueue();
+            try {
+                item.result = await scanFile(item.file, msg => {
+                    item.message = msg;
+                    renderQueue();
+                }, item.controller.signal);
+                item.status = 'done';
+                item.message = '';
+            } catch (err) {
+                if (err.name === 'AbortError') {
+                    item.status = 'skipped';
+                    item.message = 'Cancelled';
+                } else {
+                    console.error('PDF processing error:', item.file.name, err);
+                    item.status = 'failed';
+                    item.message = err.message || 'Unknown error';
+                }
+            }
+            item.controller = null;
+            renderQueue();
         }
+        queueRunning = false;
+        renderQueue();
     }
 
-    // === OCR for scanned PDFs ===
-    async function ocrPdf(pdf) {
-        let fullText = '';
-        const worker = await Tesseract.createWorker('eng');
+    const QUEUE_STATUS = {
+        pending: '⏳ Pending',
+        processing: '⚙️ Scanning',
+        done: '✅ Done',
+        failed: '❌ Failed',
+        skipped: '⏭ Skipped'
+    };
 
-        for (let i = 1; i <= pdf.numPages; i++) {
-            processing.querySelector('p').textContent = `Running OCR — page ${i} of ${pdf.numPages}...`;
+    function renderQueue() {
+        const count = s => queue.filter(q => q.status === s).length;
+        const finished = queue.length - count('pending') - count('processing');
+        const pct = queue.length ? Math.round(finished / queue.length * 100) : 0;
+        const current = queue.find(q => q.status === 'processing');
 
-            const page = await pdf.getPage(i);
-            const viewport = page.getViewport({ scale: 2.0 }); // Higher scale = better OCR
-            const canvas = document.createElement('canvas');
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
-            const ctx = canvas.getContext('2d');
+        queueFill.style.width = pct + '%';
+        queuePct.textContent = pct + '%';
+        queueStatus.textContent = current
+            ? `Scanning ${finished + 1} of ${queue.length}`
+            : `${finished} of ${queue.length} processed`;
 
-            await page.render({ canvasContext: ctx, viewport: viewport }).promise;
+        queueList.innerHTML = queue.map((q, i) => {
+            const r = q.result;
+            const actions = q.status === 'failed'
+                ? `<button class="btn btn-sm" data-action="retry">Retry</button>
+                   <button class="btn btn-sm btn-secondary" data-action="skip">Skip</button>`
+                : q.status === 'processing' ? '<button class="btn btn-sm btn-secondary" data-action="cancel">Cancel</button>' : '';
+            return `
+                <tr class="queue-row ${q.status}" data-index="${i}">
+                    <td>${i + 1}</td>
+                    <td class="queue-file">${esc(q.file.name)}${q.message ? `<div class="queue-message">${esc(q.message)}</div>` : ''}</td>
+                    <td class="queue-status">${QUEUE_STATUS[q.status]}</td>
+                    <td class="mono">${r ? esc(r.certNumber) || '—' : ''}</td>
+                    <td class="mono">${r ? esc(r.marking) || '—' : ''}</td>
+                    <td>${r ? r.confidence + '%' : ''}</td>
+                    <td class="queue-actions">${actions}</td>
+                </tr>
+            `;
+        }).join('');
 
-            const { data } = await worker.recognize(canvas);
-            fullText += data.text + '\n\n';
+        queueSummary.textContent = queueRunning || !queue.length ? '' :
+            `Finished: ${count('done')} scanned, ${count('failed')} failed, ${count('skipped')} skipped. Click a scanned row to view its details.`;
+    }
+
+    queueList.addEventListener('click', e => {
+        const row = e.target.closest('.queue-row');
+        if (!row) return;
+        const item = queue[parseInt(row.dataset.index)];
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'retry') {
+            item.status = 'pending';
+            item.message = '';
+            renderQueue();
+            runQueue();
+        } else if (action === 'skip') {
+            item.status = 'skipped';
+            renderQueue();
+        } else if (action === 'cancel') {
+            item.controller?.abort();
+        } else if (item.status === 'done') {
+            currentResult = item.result;
+            queueEl.style.display = 'none';
+            backToQueue.style.display = '';
+            renderResults(item.result, item.result.confidence);
+            rawText.textContent = item.result.raw;
         }
+    });
 
-        await worker.terminate();
-        return fullText;
-    }
+    document.getElementById('queueRetryFailed')?.addEventListener('click', () => {
+        const failed = queue.filter(q => q.status === 'failed');
+        if (!failed.length) return toast('No failed files to retry');
+        failed.forEach(q => { q.status = 'pending'; q.message = ''; });
+        renderQueue();
+        runQueue();
+    });
+
+    document.getElementById('queueExportCsv')?.addEventListener('click', () => {
+        const done = queue.filter(q => q.status === 'done').map(q => q.result);
+        if (!done.length) return toast('No scanned certificates to export');
+        exportCsv(done);
+    });
+
+    document.getElementById('queueClose')?.addEventListener('click', () => {
+        if (queueRunning) return toast('Wait for the batch to finish');
+        queue.length = 0;
+        queueEl.style.display = 'none';
+        dropZone.style.display = '';
+        fileInput.value = '';
+    });
+
+    backToQueue.addEventListener('click', () => {
+        results.style.display = 'none';
+        backToQueue.style.display = 'none';
+        queueEl.style.display = '';
+        currentResult = null;
+    });
 
     // === Render Results ===
     function renderResults(data, conf) {
@@ -160,60 +371,338 @@
         confidencePct.style.color = conf >= 60 ? '#4df4a4' : conf >= 30 ? '#d29922' : '#f85149';
 
         // OCR badge
-        const ocrNote = data.usedOcr ? ' <span style="background:#d29922;color:#1a2535;padding:2px 8px;border-radius:4px;font-size:0.75rem;font-weight:600;margin-left:8px;">OCR</span>' : '';
+        const ocrNote = data.usedOcr ? ` <span style="background:#d29922;color:#1a2535;padding:2px 8px;border-radius:4px;font-size:0.75rem;font-weight:600;margin-left:8px;" title="${esc(ocrSummary(data))}">OCR${data.ocrConfidence != null ? ' ' + data.ocrConfidence + '%' : ''}</span>` : '';
         document.querySelector('.confidence-label').innerHTML = 'Extraction confidence:' + ocrNote;
 
-        // Certificate card
-        const typeBadge = data.certType ? `<span class="cert-type-badge">${esc(data.certType)}</span>` : '';
+        // Certificate card, with manual corrections applied
+        const view = corrected(data);
+        const fixes = activeCorrections(data);
+        const markings = view.markings;
+        const primary = markings[0] || {};
+        const { gas, dust } = view;
+        const variants = variantsOf(view);
+        const warnings = warningsOf(view);
+        const parts = certPartsOf(view);
+        const source = key => data.evidence && data.evidence[key] ? { key, ...data.evidence[key] } : null;
+        const edit = key => ({ key, correction: fixes[key] });
+        const typeBadge = view.certType ? `<span class="cert-type-badge">${esc(view.certType)}</span>` : '';
 
         certCard.innerHTML = `
-            <div class="cert-card-header">
-                <h3>Certificate ${typeBadge}</h3>
-                <div class="cert-number">${esc(data.certNumber) || '<span class="not-found">Not detected</span>'}</div>
+            <div class="cert-card-header" data-field="certNumber">
+                <h3>Certificate ${typeBadge}${correctionBadge(fixes.certNumber)}${editButton()}</h3>
+                <div class="cert-number">${esc(view.certNumber) || '<span class="not-found">Not detected</span>'}</div>
+                ${formatCertParts(parts)}
             </div>
+            ${warnings.length ? `
+                <div class="cert-warnings">
+                    <div class="cert-warnings-title">⚠️ ${warnings.length} consistency warning${warnings.length > 1 ? 's' : ''}</div>
+                    <ul>${warnings.map(w => `<li>${esc(w.message)}</li>`).join('')}</ul>
+                </div>
+            ` : ''}
             <div class="cert-grid">
-                ${field('Ex Marking', data.marking, true)}
-                ${data.markings && data.markings.length > 1 ? fieldFull('Additional Markings', data.markings.slice(1).join('\n')) : ''}
-                ${field('Gas Group', data.gasGroup ? `${data.gasGroup}${data.gasGroupInfo ? ' — ' + data.gasGroupInfo : ''}` : null)}
-                ${field('Temperature Class', data.tempClass ? `${data.tempClass} (max ${data.tempClassMax})` : null)}
-                ${field('Equipment Protection Level', data.epl)}
-                ${field('Protection Type(s)', data.protectionTypes.length ? data.protectionTypes.map(p => `${p.code} — ${p.description}`).join('<br>') : null)}
-                ${field('Zone', data.zone)}
-                ${field('IP Rating', data.ipRating)}
-                ${field('Ambient Temperature', data.ambientTemp)}
-                ${field('Manufacturer', data.manufacturer)}
-                ${field('Equipment / Model', data.equipment)}
-                ${field('Notified Body', data.notifiedBody)}
-                ${field('Issue Date', data.issueDate)}
-                ${field('Expiry Date', data.expiryDate)}
-                ${field('ATEX Category', data.category)}
-                ${field('Equipment Group', data.group)}
-                ${field('Standards', data.standard)}
-                ${data.specialConditions ? fieldFull('Special Conditions', data.specialConditions) : ''}
+                ${field('Ex Marking', view.marking, false, source('marking'), edit('marking'), true)}
+                ${markings.length > 1 || fixes.additionalMarkings ? fieldFull('Additional Markings', markings.slice(1).map(m => m.text).join('\n'), false, null, edit('additionalMarkings')) : ''}
+                ${gas || !dust ? `
+                    ${field('Gas Group', formatGroup(gas), false, source('gas'), edit('gasGroup'))}
+                    ${field('Temperature Class', formatTemp(gas), false, source('gas'), edit('tempClass'))}
+                    ${field('Gas EPL', gas?.epl, false, source('gas'), edit('gasEpl'))}
+                ` : ''}
+                ${dust ? `
+                    ${field('Dust Group', formatGroup(dust), false, source('dust'), edit('dustGroup'))}
+                    ${field('Max Surface Temperature', formatTemp(dust), false, source('dust'), edit('dustMaxSurfaceTemp'))}
+                    ${field('Dust EPL', dust.epl, false, source('dust'), edit('dustEpl'))}
+                ` : ''}
+                ${field('Protection Type(s)', formatProtection(primary), true, source('marking'), edit('protection'))}
+                ${(view.divisions || []).length || fixes.divisions ? fieldFull('Class / Division (NEC / CEC)', formatDivisions(view.divisions || []), true, source('divisions'), edit('divisions')) : ''}
+                ${variants.length ? fieldFull('Equipment Schedule', scheduleTable(variants), true) : ''}
+                ${(view.entity || []).length ? fieldFull('Entity Parameters (intrinsic safety)', entityTable(view.entity), true, source('entity')) : ''}
+                ${field('Zone', view.zone, false, source('zone'), edit('zone'))}
+                ${field('IP Rating', view.ipRating, false, source('ipRating'), edit('ipRating'))}
+                ${field('Ambient Temperature', view.ambientTemp, false, source('ambientTemp'), edit('ambientTemp'))}
+                ${(view.tempRatings || []).length > 1 ? fieldFull('Temperature Ratings', ratingsTable(view.tempRatings), true, source('tempRatings')) : ''}
+                ${field('Manufacturer', view.manufacturer, false, source('manufacturer'), edit('manufacturer'))}
+                ${field('Equipment / Product', productOf(view), false, source('product'), edit('product'))}
+                ${field('Notified Body', view.notifiedBody, false, source('notifiedBody'), edit('notifiedBody'))}
+                ${field('NB Number', view.nbNumber, false, source('nbNumber'), edit('nbNumber'))}
+                ${field('Issue Date', formatDate(view.issueDate, view.issueDateText), false, source('issueDate'), edit('issueDate'))}
+                ${field('Expiry Date', formatDate(view.expiryDate, view.expiryDateText), false, source('expiryDate'), edit('expiryDate'))}
+                ${field('Validity', validityBadge(view), true)}
+                ${field('ATEX Directive Marking', formatDirective(view.directive), true, source('directive'), edit('directive'))}
+                ${field('ATEX Category', view.category, false, source('category'), edit('category'))}
+                ${field('Equipment Group', view.group, false, source('group'), edit('group'))}
+                ${field('Standards', view.standard, false, source('standard'), edit('standard'))}
+                ${field('Certificate Language', formatLanguages(view))}
+                ${field('Issuer Layout', formatProfile(view.profile))}
+                ${view.conditions.length ? fieldFull('Special Conditions', conditionsChecklist(view), true, source('specialConditions'), edit('specialConditions'))
+                    : view.specialConditions || fixes.specialConditions ? fieldFull('Special Conditions', view.specialConditions, false, source('specialConditions'), edit('specialConditions')) : ''}
             </div>
         `;
+
+        resetSuitability(variants);
+        resetLoop();
+        renderRevisions(data);
+        sourcePreview.style.display = 'none';
+    }
+
+    function formatCertParts(parts) {
+        if (!parts) return '';
+        const items = [
+            `Issuer ${parts.body}${parts.bodyName && parts.bodyName !== parts.body ? ' (' + parts.bodyName + ')' : ''}`,
+            parts.year ? `Year ${parts.year}` : null,
+            parts.country ? `Country ${parts.country}` : null,
+            `Serial ${parts.serial}`,
+            parts.suffix ? `Suffix ${parts.suffix}` : null,
+            parts.issue ? `${parts.scheme === 'IECEx' ? 'Issue' : 'Supplement'} ${parts.issue}` : null
+        ].filter(Boolean);
+        const badge = parts.malformed
+            ? ` <span class="cert-malformed" title="${esc(parts.problems.join('; ')).replace(/"/g, '&quot;')}">Malformed</span>`
+            : '';
+        return `<div class="cert-parts">${items.map(esc).join(' · ')}${badge}</div>`;
+    }
+
+    // ISO date with the certificate's own wording when it differs
+    function formatDate(iso, text) {
+        if (!iso) return null;
+        return text && text !== iso ? `${iso} (${text})` : iso;
+    }
+
+    const VALIDITY_LABELS = {
+        'valid': 'Valid',
+        'expiring': 'Expiring soon',
+        'expired': 'Expired',
+        'no-expiry': 'No expiry date'
+    };
+
+    function validityOf(data) {
+        return ExParser.validity(data, { warnDays: expiryWindow() });
+    }
+
+    function validityBadge(data) {
+        const v = validityOf(data);
+        const days = v.daysLeft === null ? ''
+            : v.daysLeft < 0 ? ` (${-v.daysLeft} days ago)`
+            : ` (${v.daysLeft} days left)`;
+        return `<span class="validity-badge ${v.status}">${VALIDITY_LABELS[v.status]}</span>${days}`;
+    }
+
+    function expiryWindow() {
+        return parseInt(localStorage.getItem(EXPIRY_WINDOW_KEY)) || 90;
     }
 
-    function field(label, value, highlight = false) {
+    function formatGroup(r) {
+        if (!r || !r.group) return null;
+        return `${r.group}${r.groupInfo ? ' — ' + r.groupInfo : ''}`;
+    }
+
+    function formatTemp(r) {
+        if (!r) return null;
+        const parts = [];
+        if (r.tempClasses && r.tempClasses.length) {
+            const range = r.tempClasses.length > 1 ? `${r.tempClasses[0]}…${r.tempClass}` : r.tempClass;
+            parts.push(`${range} (max ${r.maxSurfaceTemp}°C)`);
+        } else if (r.maxSurfaceTemp) {
+            parts.push(`T${r.maxSurfaceTemp}°C`);
+        }
+        if (r.dustLayer) {
+            parts.push(`T${r.dustLayer.thickness} ${r.dustLayer.maxSurfaceTemp}°C (${r.dustLayer.thickness} mm layer)`);
+        }
+        return parts.length ? parts.join('; ') : null;
+    }
+
+    const ATMOSPHERES = { G: 'gas', D: 'dust', M: 'mining' };
+
+    function formatLanguages(data) {
+        const codes = data.languages && data.languages.length ? data.languages : data.language ? [data.language] : [];
+        return codes.map(c => ExParser.LANGUAGES[c]?.name || c).join(', ');
+    }
+
+    // Name of the issuer profile the labels were read with
+    function formatProfile(id) {
+        if (!id) return null;
+        return ExParser.profiles().find(p => p.id === id)?.name || id;
+    }
+
+    function formatDivisions(divisions) {
+        return divisions.map(d => `
+            <div class="division">
+                <span class="mono">${esc(d.text)}</span>
+                ${d.iec.map(e => `<div class="division-iec">Class ${esc(e.class)} ≈ IEC ${esc(iecEquivalent(e))}</div>`).join('')}
+            </div>
+        `).join('');
+    }
+
+    function formatDirective(d) {
+        if (!d) return null;
+        const pairs = d.categories.map(c => `Category ${c.category}${c.atmosphere === 'M' ? '' : c.atmosphere} (${ATMOSPHERES[c.atmosphere]})`)
+            .concat(d.associated.map(c => `Associated apparatus ${c.category}${c.atmosphere} (${ATMOSPHERES[c.atmosphere]})`));
+        const decoded = [d.group ? `Group ${d.group}` : null, ...pairs].filter(Boolean);
+        return esc(d.text) + (decoded.length ? '<br>' + esc(decoded.join(' · ')) : '');
+    }
+
+    function formatProtection(m) {
+        const lines = (m.protection || []).map(p => esc(`${p.code} — ${p.description}`))
+            .concat((m.associated || []).map(p =>
+                esc(`[${p.code}${p.epl ? ' ' + p.epl : ''}] — ${p.description} (associated apparatus)`)));
+        return lines.length ? lines.join('<br>') : null;
+    }
+
+    // `value` is text unless isHtml, as for fieldFull
+    function field(label, value, isHtml = false, source = null, edit = null, highlight = false) {
         const cls = value ? (highlight ? 'highlight' : '') : 'not-found';
-        const display = value || 'Not detected';
         return `
-            <div class="cert-field">
-                <div class="cert-field-label">${esc(label)}</div>
-                <div class="cert-field-value ${cls}">${value ? display : esc(display)}</div>
+            <div class="cert-field${value && source ? ' has-source' : ''}"${value ? sourceAttrs(source) : ''}${editAttrs(edit)}>
+                <div class="cert-field-label">${esc(label)}${value ? sourceBadge(source) : ''}${edit ? correctionBadge(edit.correction) + editButton() : ''}</div>
+                <div class="cert-field-value ${cls}">${value && isHtml ? value : esc(value || 'Not detected')}</div>
             </div>
         `;
     }
 
-    function fieldFull(label, value) {
+    function fieldFull(label, value, isHtml = false, source = null, edit = null) {
         return `
-            <div class="cert-field full-width">
-                <div class="cert-field-label">${esc(label)}</div>
-                <div class="cert-field-value">${esc(value)}</div>
+            <div class="cert-field full-width${source ? ' has-source' : ''}"${sourceAttrs(source)}${editAttrs(edit)}>
+                <div class="cert-field-label">${esc(label)}${sourceBadge(source)}${edit ? correctionBadge(edit.correction) + editButton() : ''}</div>
+                <div class="cert-field-value">${isHtml ? value : esc(value)}</div>
             </div>
         `;
     }
 
+    function editAttrs(edit) {
+        return edit ? ` data-field="${edit.key}"` : '';
+    }
+
+    function editButton() {
+        return ' <button type="button" class="field-edit" title="Correct this value">✎</button>';
+    }
+
+    function correctionBadge(c) {
+        if (!c) return '';
+        const title = esc([
+            `Extracted: ${c.original ?? '(none)'}`,
+            `Corrected ${new Date(c.correctedAt).toLocaleString()}`,
+            c.note ? `Note: ${c.note}` : null
+        ].filter(Boolean).join('\n')).replace(/"/g, '&quot;');
+        return ` <span class="field-corrected" title="${title}">Corrected</span>`;
+    }
+
+    function sourceAttrs(source) {
+        if (!source) return '';
+        const title = esc(`Matched by ${source.pattern} — click to show in the source text`).replace(/"/g, '&quot;');
+        return ` data-source="${source.key}" title="${title}"`;
+    }
+
+    function sourceBadge(source) {
+        if (!source) return '';
+        const pct = Math.round(source.confidence * 100);
+        const cls = pct >= 80 ? '' : pct >= 60 ? ' medium' : ' low';
+        const title = source.ocrConfidence != null ? ` title="OCR word confidence ${source.ocrConfidence}%"` : '';
+        return ` <span class="field-confidence${cls}"${title}>${pct}%</span>`;
+    }
+
+    // Which pages were OCRed and what the misread pass changed
+    function ocrSummary(data) {
+        if (!data.ocrPages) return 'Read with OCR';
+        const pages = data.ocrPages.map(p => p.page + (p.rotation ? ` (turned ${p.rotation}°)` : '')).join(', ');
+        const fixes = (data.ocrCorrections || []).map(c => `${c.from} → ${c.to}`);
+        return `OCR on page ${pages}` + (fixes.length ? `; corrected ${fixes.join(', ')}` : '');
+    }
+
+    // === Special Conditions Checklist ===
+    function conditionsChecklist(data) {
+        const checked = checkedConditions(data);
+        return `
+            <div class="condition-progress">${esc(checklistProgress(data))}</div>
+            <ul class="condition-list">
+                ${data.conditions.map((c, i) => `
+                    <li>
+                        <label>
+                            <input type="checkbox" data-condition="${i}"${checked.has(c.text) ? ' checked' : ''}>
+                            <span>${c.number != null ? c.number + '. ' : ''}${esc(c.text)}
+                                ${c.categories.map(k => `<span class="condition-tag">${esc(ExParser.CONDITION_CATEGORIES[k].label)}</span>`).join('')}</span>
+                        </label>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    certCard.addEventListener('change', async e => {
+        if (!e.target.dataset.condition || !currentResult) return;
+        const view = corrected(currentResult);
+        const condition = view.conditions[e.target.dataset.condition].text;
+        const checks = (currentResult.conditionChecks || []).filter(c => c.condition !== condition);
+        if (e.target.checked) checks.push({ condition, checkedAt: new Date().toISOString() });
+        currentResult.conditionChecks = checks;
+        certCard.querySelector('.condition-progress').textContent = checklistProgress(corrected(currentResult));
+        if (currentResult.id != null) await ExRegister.put(currentResult);
+    });
+
+    // Rating table, with the class in force at an ambient the user enters
+    function ratingsTable(rows) {
+        return `
+            <table class="cert-table ratings-table">
+                <thead><tr><th>Temperature</th><th>Ambient</th><th>Condition</th></tr></thead>
+                <tbody>
+                    ${rows.map((r, i) => `
+                        <tr data-rating="${i}">
+                            <td class="mono">${esc(ratingText(r))}</td>
+                            <td>${esc(ambientText(r))}</td>
+                            <td>${esc(r.condition) || '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <label class="rating-ambient">At ambient <input type="number" name="ratingAmbient" placeholder="°C"> °C: <span class="rating-at"></span></label>
+        `;
+    }
+
+    certCard.addEventListener('input', e => {
+        if (e.target.name !== 'ratingAmbient' || !currentResult) return;
+        const rows = corrected(currentResult).tempRatings || [];
+        const value = e.target.value === '' ? null : parseFloat(e.target.value);
+        const row = value == null ? null : ExParser.tempRatingAt(rows, value);
+        certCard.querySelectorAll('[data-rating]').forEach(tr => tr.classList.toggle('active', !!row && rows[tr.dataset.rating] === row));
+        certCard.querySelector('.rating-at').textContent = value == null ? ''
+            : row ? ratingText(row) + (row.condition ? ` (${row.condition})` : '') : 'not covered by the certificate';
+    });
+
+    // Only the parameters some circuit states get a column
+    function entityTable(circuits) {
+        const params = ENTITY_PARAMS.filter(([p]) => circuits.some(c => c.params[p] != null));
+        return `
+            <table class="cert-table entity-table">
+                <thead><tr><th>Circuit</th>${params.map(([p]) => `<th>${p}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${circuits.map((c, i) => `
+                        <tr>
+                            <td>${esc(c.circuit) || 'Circuit ' + (i + 1)}</td>
+                            ${params.map(([p, unit]) => `<td class="mono">${esc(ExLoop.format(c.params[p], unit))}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    function scheduleTable(variants) {
+        const rating = r => r ? [r.group, r.tempClass || (r.maxSurfaceTemp ? `T${r.maxSurfaceTemp}°C` : null), r.epl].filter(Boolean).join(' ') : '—';
+        return `
+            <table class="cert-table">
+                <thead><tr><th>Model</th><th>Marking(s)</th><th>Ambient</th><th>Gas</th><th>Dust</th></tr></thead>
+                <tbody>
+                    ${variants.map(v => `
+                        <tr>
+                            <td class="mono">${esc(v.model)}</td>
+                            <td class="mono">${v.markings.map(esc).join('<br>') || '—'}</td>
+                            <td>${esc(v.ambientTemp) || '—'}</td>
+                            <td>${esc(rating(v.gas))}</td>
+                            <td>${esc(rating(v.dust))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
     function esc(s) {
         if (!s) return '';
         const el = document.createElement('span');
@@ -221,10 +710,606 @@
         return el.innerHTML;
     }
 
+    // === Corrections ===
+    // Manual fixes are logged in result.corrections as
+    // { field, original, value, note, correctedAt }. The latest entry for a
+    // field wins; one that puts back the extracted value reverts it.
+    const MULTILINE_FIELDS = ['additionalMarkings', 'divisions', 'specialConditions'];
+
+    const tempSetter = atmosphere => (d, v) => {
+        const limit = parseInt(ExParser.TEMP_CLASS_INFO[v]);
+        const rating = { atmosphere, ...d[atmosphere] };
+        if (limit) Object.assign(rating, { tempClass: v, tempClasses: [v], maxSurfaceTemp: limit });
+        else Object.assign(rating, { tempClass: null, tempClasses: [], maxSurfaceTemp: parseInt(String(v).replace(/^T/i, '')) || null });
+        d[atmosphere] = rating;
+    };
+    const ratingSetter = (atmosphere, prop) => (d, v) => {
+        d[atmosphere] = { atmosphere, ...d[atmosphere], [prop]: v };
+        if (prop === 'group') d[atmosphere].groupInfo = ExParser.GAS_GROUP_INFO[v] || null;
+    };
+    const plain = key => ({ get: d => d[key], set: (d, v) => { d[key] = v; } });
+    const dateField = key => ({
+        get: d => d[key + 'Text'] || d[key],
+        set: (d, v) => { d[key] = ExParser.parseDate(v) || v; d[key + 'Text'] = v; }
+    });
+
+    // Field key → how to read it from, and write it into, a normalized result
+    const CORRECTABLE = {
+        certNumber: {
+            get: d => d.certNumber,
+            set: (d, v) => { d.certNumber = v; d.certParts = ExParser.parseCertNumber(v); }
+        },
+        marking: {
+            get: d => d.marking,
+            set: (d, v) => {
+                const previous = d.markings[0];
+                const marking = ExParser.parseMarking(v);
+                d.marking = v;
+                d.markings = [marking || { text: v }, ...d.markings.slice(1)].filter(m => m.text);
+                // The gas or dust rating follows the first marking for that atmosphere
+                for (const atmosphere of ['gas', 'dust']) {
+                    if (marking?.atmosphere !== atmosphere && previous?.atmosphere !== atmosphere) continue;
+                    d[atmosphere] = ExParser.rating(d.markings.find(m => m.atmosphere === atmosphere));
+                }
+            }
+        },
+        additionalMarkings: {
+            get: d => d.markings.slice(1).map(m => m.text).join('\n'),
+            set: (d, v) => {
+                const lines = String(v || '').split('\n').map(l => l.trim()).filter(Boolean);
+                d.markings = [d.markings[0] || { text: d.marking }, ...lines.map(l => ExParser.parseMarking(l) || { text: l })];
+            }
+        },
+        gasGroup: { get: d => d.gas?.group, set: ratingSetter('gas', 'group') },
+        tempClass: {
+            get: d => d.gas?.tempClass || (d.gas?.maxSurfaceTemp ? `T${d.gas.maxSurfaceTemp}°C` : null),
+            set: tempSetter('gas')
+        },
+        gasEpl: { get: d => d.gas?.epl, set: ratingSetter('gas', 'epl') },
+        dustGroup: { get: d => d.dust?.group, set: ratingSetter('dust', 'group') },
+        dustMaxSurfaceTemp: {
+            get: d => d.dust?.maxSurfaceTemp ? `T${d.dust.maxSurfaceTemp}°C` : null,
+            set: tempSetter('dust')
+        },
+        dustEpl: { get: d => d.dust?.epl, set: ratingSetter('dust', 'epl') },
+        protection: {
+            get: d => (d.markings[0]?.protection || []).map(p => p.code).join('; '),
+            set: (d, v) => {
+                const codes = String(v || '').split(/[;,]/).map(c => c.trim()).filter(Boolean);
+                d.markings = [{ text: d.marking, ...d.markings[0], protection: codes.map(ExParser.protectionInfo) }, ...d.markings.slice(1)];
+            }
+        },
+        zone: plain('zone'),
+        ipRating: plain('ipRating'),
+        ambientTemp: plain('ambientTemp'),
+        manufacturer: plain('manufacturer'),
+        product: { get: productOf, set: (d, v) => { d.product = v; } },
+        notifiedBody: plain('notifiedBody'),
+        nbNumber: plain('nbNumber'),
+        divisions: {
+            get: d => (d.divisions || []).map(x => x.text).join('\n'),
+            set: (d, v) => {
+                d.divisions = String(v || '').split('\n').map(l => l.trim()).filter(Boolean)
+                    .map(l => ExParser.parseClassDivision(l) || { text: l, classes: [], groups: [], iec: [] });
+            }
+        },
+        directive: {
+            get: d => d.directive?.text,
+            set: (d, v) => {
+                d.directive = ExParser.parseDirective(v)
+                    || (v ? { text: v, group: null, category: null, atmospheres: [], categories: [], associated: [] } : null);
+                if (d.directive?.category) d.category = d.directive.category;
+            }
+        },
+        issueDate: dateField('issueDate'),
+        expiryDate: dateField('expiryDate'),
+        category: plain('category'),
+        group: plain('group'),
+        standard: plain('standard'),
+        specialConditions: {
+            get: d => d.specialConditions,
+            set: (d, v) => { d.specialConditions = v; d.conditions = ExParser.splitConditions(v); }
+        }
+    };
+
+    // Current value of a field as the text shown in its editor
+    function fieldText(data, key) {
+        const v = CORRECTABLE[key].get(data);
+        return v == null || v === '' ? null : String(v);
+    }
+
+    // The result as reviewed: normalized, with every active correction applied
+    function corrected(data) {
+        const view = normalized(data);
+        view.markings = [...view.markings];
+        // In CORRECTABLE order, so a corrected group or class outranks the
+        // rating a corrected marking rebuilds
+        const fixes = activeCorrections(data);
+        Object.keys(CORRECTABLE).filter(key => fixes[key]).forEach(key => CORRECTABLE[key].set(view, fixes[key].value));
+        return view;
+    }
+
+    function openEditor(el) {
+        const key = el.dataset.field;
+        const value = fieldText(corrected(currentResult), key) || '';
+        const multiline = MULTILINE_FIELDS.includes(key);
+        const correction = activeCorrections(currentResult)[key];
+        const editor = document.createElement('form');
+        editor.className = 'field-editor';
+        editor.innerHTML = `
+            ${multiline ? '<textarea name="value" rows="4"></textarea>' : '<input name="value">'}
+            <input name="note" placeholder="Note (optional)">
+            <div class="field-editor-actions">
+                <button type="submit" class="btn btn-sm">Save</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-action="cancel">Cancel</button>
+                ${correction ? '<button type="button" class="btn btn-sm btn-secondary" data-action="revert">Revert to extracted</button>' : ''}
+            </div>
+        `;
+        editor.elements.value.value = value;
+        el.querySelector('.cert-field-value, .cert-number').replaceWith(editor);
+        el.querySelector('.cert-parts')?.remove();
+        editor.elements.value.focus();
+    }
+
+    async function correctField(key, value, note) {
+        const original = fieldText(normalized(currentResult), key);
+        value = value.trim() || null;
+        if (value === fieldText(corrected(currentResult), key) && !note) {
+            return renderResults(currentResult, currentResult.confidence || 0);
+        }
+        currentResult.corrections = [...(currentResult.corrections || []), {
+            field: key,
+            original,
+            value,
+            note: note || null,
+            correctedAt: new Date().toISOString()
+        }];
+        currentResult.warnings = ExParser.validate(corrected(currentResult));
+        if (currentResult.id != null) await ExRegister.put(currentResult);
+        renderResults(currentResult, currentResult.confidence || 0);
+        toast(value === original ? 'Reverted to the extracted value' : 'Correction saved');
+    }
+
+    certCard.addEventListener('submit', e => {
+        e.preventDefault();
+        const form = e.target;
+        correctField(form.closest('[data-field]').dataset.field, form.elements.value.value, form.elements.note.value.trim());
+    });
+
+    // === Source Evidence ===
+    // Pages and text boxes of recent scans, for showing a field on its page
+    const sources = new WeakMap();
+
+    certCard.addEventListener('click', e => {
+        if (!currentResult) return;
+        const editor = e.target.closest('.field-editor');
+        if (editor) {
+            const action = e.target.dataset.action;
+            const key = editor.closest('[data-field]').dataset.field;
+            if (action === 'cancel') renderResults(currentResult, currentResult.confidence || 0);
+            if (action === 'revert') correctField(key, fieldText(normalized(currentResult), key) || '', editor.elements.note.value.trim());
+            return;
+        }
+        if (e.target.closest('.field-edit')) return openEditor(e.target.closest('[data-field]'));
+        if (e.target.closest('.rating-ambient, .condition-list')) return;
+        const el = e.target.closest('[data-source]');
+        if (el) showSource(el.dataset.source);
+    });
+
+    function showSource(key) {
+        const ev = currentResult.evidence && currentResult.evidence[key];
+        const raw = currentResult.raw;
+        if (!ev || !raw) return toast('Source text not available for this scan');
+
+        certCard.querySelectorAll('.cert-field.active').forEach(el => el.classList.remove('active'));
+        certCard.querySelectorAll(`[data-source="${key}"]`).forEach(el => el.classList.add('active'));
+
+        rawText.innerHTML = esc(raw.slice(0, ev.start)) +
+            `<mark class="source-mark">${esc(raw.slice(ev.start, ev.end))}</mark>` +
+            esc(raw.slice(ev.end));
+        rawText.closest('details').open = true;
+        rawText.querySelector('.source-mark').scrollIntoView({ block: 'nearest' });
+
+        sourceOf(currentResult).then(source => showOnPage(source, ev));
+    }
+
+    // Page source of a result; register entries reload their stored PDF
+    async function sourceOf(result) {
+        if (sources.has(result)) return sources.get(result);
+        let source = null;
+        const file = result.id != null && await ExRegister.getFile(result.id);
+        if (file) {
+            const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+            // OCR text has no page positions, and shifts the text after it
+            const firstOcr = result.usedOcr ? Math.min(...(result.ocrPages || [{ page: 1 }]).map(p => p.page)) : Infinity;
+            source = { pdf, boxes: (await ExExtract.extractPdfText(pdf)).boxes.filter(b => b.page < firstOcr) };
+        }
+        sources.set(result, source);
+        return source;
+    }
+
+    async function showOnPage(source, ev) {
+        const hits = source ? source.boxes.filter(b => b.start < ev.end && b.end > ev.start) : [];
+        if (!hits.length) {
+            sourcePreview.style.display = 'none';
+            return;
+        }
+        const pageNum = hits[0].page;
+        const page = await source.pdf.getPage(pageNum);
+        const viewport = page.getViewport({ scale: 1.5 });
+        const canvas = sourcePreview.querySelector('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        const ctx = canvas.getContext('2d');
+        await page.render({ canvasContext: ctx, viewport: viewport }).promise;
+
+        ctx.fillStyle = 'rgba(77, 244, 164, 0.35)';
+        ctx.strokeStyle = '#4df4a4';
+        for (const b of hits.filter(h => h.page === pageNum)) {
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(
+                [b.x, b.y - b.height * 0.25, b.x + b.width, b.y + b.height * 0.85]);
+            const rect = [Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1)];
+            ctx.fillRect(...rect);
+            ctx.strokeRect(...rect);
+        }
+        sourcePreview.querySelector('.source-preview-label').textContent = `Page ${pageNum} of ${source.pdf.numPages}`;
+        sourcePreview.style.display = '';
+    }
+
+    // === Revisions ===
+    // Other scans of the same base certificate, oldest issue first
+    async function lineageOf(data) {
+        const key = ExLineage.lineageKey(corrected(data));
+        if (!key) return [];
+        const entries = (await ExRegister.all()).filter(e => e.id !== data.id).concat(data);
+        return ExLineage.group(entries.map(e => ({ entry: e, ...corrected(e) })))
+            .find(l => l.key === key)?.issues || [];
+    }
+
+    function issueLabel(r) {
+        const n = ExLineage.issueNumber(r);
+        return `${n ? (certPartsOf(r)?.scheme === 'IECEx' ? 'Issue ' : 'Supplement ') + n : 'Original issue'}${r.issueDate ? ' — ' + r.issueDate : ''}`;
+    }
+
+    async function renderRevisions(data) {
+        const issues = await lineageOf(data);
+        if (data !== currentResult) return;
+        if (issues.length < 2) {
+            revisionsSection.style.display = 'none';
+            return;
+        }
+        const current = issues[issues.length - 1];
+        const self = issues.findIndex(r => r.entry === data);
+        revisionsSection.style.display = '';
+        revisionsSection.querySelector('summary').textContent =
+            `${issues.length} issues of this certificate${current.entry === data ? ' — this is the current one' : ' — a newer issue exists'}`;
+        const options = selected => issues.map((r, i) =>
+            `<option value="${i}"${i === selected ? ' selected' : ''}>${esc(issueLabel(r))}${r === current ? ' (current)' : ''}</option>`).join('');
+        revisionsEl.innerHTML = `
+            <ul class="revision-list">
+                ${issues.map((r, i) => `
+                    <li class="${i === self ? 'this' : ''}">
+                        <span class="mono">${esc(r.certNumber)}</span> ${esc(issueLabel(r))}
+                        ${r === current ? '<span class="validity-badge valid">Current</span>' : '<span class="validity-badge no-expiry">Superseded</span>'}
+                        ${i === self ? '' : `<button class="btn btn-sm btn-secondary" data-open="${i}">View</button>`}
+                    </li>
+                `).join('')}
+            </ul>
+            <form class="revision-compare">
+                Compare <select name="from">${options(self === issues.length - 1 ? self - 1 : self)}</select>
+                with <select name="to">${options(self === issues.length - 1 ? self : issues.length - 1)}</select>
+            </form>
+            <div class="revision-diff"></div>
+        `;
+        const form = revisionsEl.querySelector('.revision-compare');
+        const showDiff = () => {
+            const a = issues[form.elements.from.value], b = issues[form.elements.to.value];
+            revisionsEl.querySelector('.revision-diff').innerHTML = diffTable(ExLineage.diff(a, b));
+        };
+        form.addEventListener('change', showDiff);
+        showDiff();
+        revisionsEl.querySelectorAll('[data-open]').forEach(btn => btn.addEventListener('click', () => {
+            const item = issues[btn.dataset.open].entry;
+            currentResult = item;
+            renderResults(item, item.confidence || 0);
+            rawText.textContent = item.raw || '(Raw text not stored for this scan)';
+        }));
+    }
+
+    const DIFF_MARKS = { added: '+', removed: '−', changed: '~', revised: '~' };
+
+    function diffTable(changes) {
+        if (!changes.length) return '<p class="empty-state">No differences between these issues.</p>';
+        return `
+            <table class="cert-table">
+                <thead><tr><th></th><th>Field</th><th>From</th><th>To</th></tr></thead>
+                <tbody>
+                    ${changes.map(c => `
+                        <tr class="diff-${c.kind}">
+                            <td>${DIFF_MARKS[c.kind]}</td>
+                            <td>${esc(c.label)}${c.kind === 'revised' ? ' (new edition)' : ''}</td>
+                            <td>${esc(c.from) || '—'}</td>
+                            <td>${esc(c.to) || '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // === Area Suitability ===
+    function resetSuitability(variants) {
+        suitabilityVerdict.innerHTML = '';
+        const modelField = document.getElementById('suitabilityModel');
+        modelField.style.display = variants.length ? '' : 'none';
+        suitabilityForm.elements.model.innerHTML = '<option value="">Whole certificate</option>' +
+            variants.map(v => `<option>${esc(v.model)}</option>`).join('');
+    }
+
+    suitabilityForm.addEventListener('submit', e => {
+        e.preventDefault();
+        if (!currentResult) return;
+        const form = suitabilityForm.elements;
+        const num = name => form[name].value === '' ? null : parseFloat(form[name].value);
+        const site = {
+            zone: form.zone.value,
+            group: form.group.value || null,
+            tempClass: form.tempClass.value || null,
+            ignitionTemp: num('ignitionTemp'),
+            layerIgnitionTemp: num('layerIgnitionTemp'),
+            ambientMin: num('ambientMin'),
+            ambientMax: num('ambientMax'),
+            model: form.model.value || null
+        };
+        const verdict = ExSuitability.check(corrected(currentResult), site);
+        renderVerdict(verdict, site);
+    });
+
+    function renderVerdict(verdict, site) {
+        const status = verdict.suitable === true ? 'pass' : verdict.suitable === false ? 'fail' : 'unknown';
+        const headline = {
+            pass: `✅ Suitable for Zone ${site.zone}`,
+            fail: `❌ Not suitable for Zone ${site.zone}`,
+            unknown: `⚠️ Cannot confirm suitability for Zone ${site.zone}`
+        }[status];
+        const icon = c => c.pass === true ? '✅' : c.pass === false ? '❌' : '⚠️';
+        suitabilityVerdict.innerHTML = `
+            <div class="verdict ${status}">${esc(headline)}${verdict.model ? ' — ' + esc(verdict.model) : ''}</div>
+            <ul class="verdict-checks">
+                ${verdict.checks.map(c => `<li>${icon(c)} <strong>${esc(c.label)}:</strong> ${esc(c.reason)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    // === Intrinsic Safety Loop Check ===
+    // Circuits with output parameters can feed a loop, those with input parameters can be fed
+    let loopCircuits = [];
+
+    async function resetLoop() {
+        loopReport.innerHTML = '';
+        const entries = (await ExRegister.all()).filter(e => !currentResult || e.id !== currentResult.id);
+        const circuits = [];
+        for (const entry of currentResult ? [currentResult, ...entries] : entries) {
+            const view = corrected(entry);
+            (view.entity || []).forEach((c, i) => circuits.push({
+                certNumber: view.certNumber,
+                name: productOf(view) || view.fileName,
+                circuit: c.circuit || `Circuit ${i + 1}`,
+                params: c.params
+            }));
+        }
+        loopCircuits = circuits;
+        const options = (has, key) => circuits.map((c, i) => has(c.params)
+            ? `<option value="${i}">${esc([c.certNumber || 'No certificate number', c.name, c.circuit].filter(Boolean).join(' — '))}</option>` : '').join('');
+        loopForm.elements.source.innerHTML = '<option value="">—</option>' + options(p => p.Uo != null || p.Io != null);
+        loopForm.elements.device.innerHTML = '<option value="">—</option>' + options(p => p.Ui != null || p.Ii != null);
+    }
+
+    loopForm.addEventListener('submit', e => {
+        e.preventDefault();
+        const form = loopForm.elements;
+        const source = loopCircuits[form.source.value], device = loopCircuits[form.device.value];
+        if (!source || !device) return toast('Choose the associated apparatus and the field device');
+        const num = (name, scale) => form[name].value === '' ? undefined : parseFloat(form[name].value) * scale;
+        const cable = {
+            length: num('cableLength', 1) || 0,
+            capacitancePerM: num('cableCapacitance', 1e-12),
+            inductancePerM: num('cableInductance', 1e-6)
+        };
+        const verdict = ExLoop.check(source.params, device.params, cable);
+        renderLoopReport({ source, device, verdict, checkedAt: new Date() });
+    });
+
+    function loopHeadline(verdict) {
+        return verdict.pass === true ? '✅ Loop is intrinsically safe (entity check)'
+            : verdict.pass === false ? '❌ Loop fails the entity check'
+            : '⚠️ Cannot complete the entity check';
+    }
+
+    function renderLoopReport(report) {
+        const { source, device, verdict } = report;
+        const status = verdict.pass === true ? 'pass' : verdict.pass === false ? 'fail' : 'unknown';
+        const icon = c => c.pass === true ? '✅' : c.pass === false ? '❌' : '⚠️';
+        const c = verdict.cable;
+        loopReport.innerHTML = `
+            <div class="verdict ${status}">${esc(loopHeadline(verdict))}</div>
+            <ul class="verdict-checks">
+                <li><strong>Associated apparatus:</strong> ${esc(source.certNumber)} ${esc(source.name)} — ${esc(source.circuit)}</li>
+                <li><strong>Field device:</strong> ${esc(device.certNumber)} ${esc(device.name)} — ${esc(device.circuit)}</li>
+                <li><strong>Cable:</strong> ${c.length} m × ${esc(ExLoop.format(c.capacitancePerM, 'F'))}/m, ${esc(ExLoop.format(c.inductancePerM, 'H'))}/m
+                    = ${esc(ExLoop.format(c.capacitance, 'F'))}, ${esc(ExLoop.format(c.inductance, 'H'))}</li>
+                ${verdict.checks.map(x => `<li>${icon(x)} <strong>${esc(x.label)}:</strong> ${esc(x.reason)}</li>`).join('')}
+            </ul>
+            <button class="btn btn-sm btn-secondary" type="button" id="copyLoopReport">Copy report</button>
+        `;
+        document.getElementById('copyLoopReport').addEventListener('click', () => {
+            navigator.clipboard.writeText(loopReportText(report));
+            toast('Copied loop report to clipboard');
+        });
+    }
+
+    // Plain-text record of the check, for the loop file
+    function loopReportText({ source, device, verdict, checkedAt }) {
+        const c = verdict.cable;
+        const mark = x => x.pass === true ? 'PASS' : x.pass === false ? 'FAIL' : 'N/A ';
+        return [
+            'Intrinsic safety loop check (entity concept, IEC 60079-14)',
+            `Date: ${checkedAt.toISOString()}`,
+            '',
+            `Associated apparatus: ${source.certNumber || '-'} ${source.name || ''} (${source.circuit})`,
+            `Field device:         ${device.certNumber || '-'} ${device.name || ''} (${device.circuit})`,
+            `Cable: ${c.length} m, ${ExLoop.format(c.capacitancePerM, 'F')}/m, ${ExLoop.format(c.inductancePerM, 'H')}/m ` +
+                `(${ExLoop.format(c.capacitance, 'F')}, ${ExLoop.format(c.inductance, 'H')})`,
+            '',
+            ...verdict.checks.map(x => `[${mark(x)}] ${x.label}: ${x.reason}`),
+            '',
+            `Result: ${verdict.pass === true ? 'PASS' : verdict.pass === false ? 'FAIL' : 'INCOMPLETE'}`
+        ].join('\n');
+    }
+
+    // === Nameplate Check ===
+    // A photo of the equipment nameplate is OCRed and compared with its
+    // certificate in the register. Nameplates are not stored.
+    const PHOTO_MAX_SIDE = 3000;
+
+    async function processNameplate(file) {
+        dropZone.style.display = 'none';
+        results.style.display = 'none';
+        nameplateEl.style.display = 'none';
+        processing.style.display = '';
+        const status = processing.querySelector('p');
+        status.textContent = 'Reading photo...';
+        scanController = new AbortController();
+
+        try {
+            const canvas = await photoCanvas(file);
+            const { text, ocr } = await ExExtract.extractImageText(canvas, {
+                onStatus: msg => { status.textContent = msg; },
+                signal: scanController.signal
+            });
+            const plate = ExNameplate.parse(text);
+            const entries = await ExRegister.all();
+            const views = entries.map(corrected);
+            const verdict = ExNameplate.crossCheck(plate, views);
+            nameplateReport = {
+                fileName: file.name,
+                plate, verdict, ocr,
+                entry: verdict.certificate ? entries[views.indexOf(verdict.certificate)] : null,
+                checkedAt: new Date()
+            };
+            renderNameplate(nameplateReport, file);
+        } catch (err) {
+            scanFailed(err, 'Failed to read the nameplate photo');
+        } finally {
+            scanController = null;
+        }
+    }
+
+    // The photo upright (browsers apply its EXIF orientation) and no larger than OCR needs
+    async function photoCanvas(file) {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, PHOTO_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return canvas;
+    }
+
+    function nameplateHeadline({ verdict }) {
+        const cert = verdict.certificate;
+        const failed = verdict.checks.filter(c => c.pass === false).length;
+        if (!cert) {
+            return verdict.pass === false ? '❌ Certificate not in the register' : '⚠️ No certificate number on the nameplate';
+        }
+        if (verdict.pass === true) return `✅ Nameplate matches ${cert.certNumber}`;
+        if (verdict.pass === false) return `❌ ${failed} difference${failed > 1 ? 's' : ''} from ${cert.certNumber}`;
+        return `⚠️ Nameplate partly checked against ${cert.certNumber}`;
+    }
+
+    function renderNameplate(report, file) {
+        const { plate, verdict, ocr } = report;
+        processing.style.display = 'none';
+        nameplateEl.style.display = '';
+
+        const photo = document.getElementById('nameplatePhoto');
+        if (photo.src) URL.revokeObjectURL(photo.src);
+        photo.src = URL.createObjectURL(file);
+
+        nameplateCard.innerHTML = `
+            <div class="cert-grid">
+                ${field('Certificate Number(s)', plate.certificates.map(p => p.canonical).join(', '), false, null, null, true)}
+                ${field('Ex Marking', plate.markings.map(m => `<div class="mono">${esc(m.text)}</div>`).join(''), true, null, null, true)}
+                ${field('Serial Number', plate.serial)}
+                ${field('Model / Type', plate.model)}
+                ${field('Year of Manufacture', plate.year)}
+                ${field('Manufacturer', plate.manufacturer)}
+                ${field('IP Rating', plate.ipRating)}
+                ${field('Ambient Temperature', plate.ambientTemp)}
+                ${field('OCR Confidence', ocr.pages[0].confidence + '%')}
+            </div>
+        `;
+        const status = verdict.pass === true ? 'pass' : verdict.pass === false ? 'fail' : 'unknown';
+        const icon = c => c.pass === true ? '✅' : c.pass === false ? '❌' : '⚠️';
+        nameplateVerdict.innerHTML = `
+            <div class="verdict ${status}">${esc(nameplateHeadline(report))}</div>
+            <ul class="verdict-checks">
+                ${verdict.model ? `<li><strong>Model:</strong> compared with the ${esc(verdict.model)} row of the equipment schedule</li>` : ''}
+                ${verdict.checks.map(c => `<li>${icon(c)} <strong>${esc(c.label)}:</strong> ${esc(c.reason)}</li>`).join('')}
+            </ul>
+        `;
+        document.getElementById('nameplateText').textContent = plate.raw;
+        document.getElementById('openNameplateCert').style.display = report.entry ? '' : 'none';
+    }
+
+    // Plain-text record of the check, for the inspection file
+    function nameplateReportText({ fileName, plate, verdict, checkedAt }) {
+        const mark = x => x.pass === true ? 'PASS' : x.pass === false ? 'FAIL' : 'N/A ';
+        return [
+            'Equipment nameplate check against certificate',
+            `Date: ${checkedAt.toISOString()}`,
+            `Photo: ${fileName}`,
+            '',
+            `Certificate number(s): ${plate.certificates.map(p => p.canonical).join(', ') || '-'}`,
+            `Marking: ${plate.markings.map(m => m.text).join('; ') || '-'}`,
+            `Serial: ${plate.serial || '-'}`,
+            `Model: ${plate.model || '-'}`,
+            `Certificate in register: ${verdict.certificate ? verdict.certificate.certNumber : '-'}`,
+            '',
+            ...verdict.checks.map(x => `[${mark(x)}] ${x.label}: ${x.reason}`),
+            '',
+            `Result: ${verdict.pass === true ? 'PASS' : verdict.pass === false ? 'FAIL' : 'INCOMPLETE'}`
+        ].join('\n');
+    }
+
+    document.getElementById('copyNameplateReport')?.addEventListener('click', () => {
+        if (!nameplateReport) return;
+        navigator.clipboard.writeText(nameplateReportText(nameplateReport));
+        toast('Copied nameplate report to clipboard');
+    });
+
+    document.getElementById('openNameplateCert')?.addEventListener('click', () => {
+        const item = nameplateReport && nameplateReport.entry;
+        if (!item) return;
+        nameplateEl.style.display = 'none';
+        currentResult = item;
+        renderResults(item, item.confidence || 0);
+        rawText.textContent = item.raw || '(Raw text not stored for this scan)';
+    });
+
+    document.getElementById('nameplateScanAnother')?.addEventListener('click', () => {
+        nameplateEl.style.display = 'none';
+        nameplateReport = null;
+        dropZone.style.display = '';
+        fileInput.value = '';
+    });
+
     // === Actions ===
     document.getElementById('copyJson')?.addEventListener('click', () => {
         if (!currentResult) return;
-        const { raw, ...clean } = currentResult;
+        const { raw, ...clean } = corrected(currentResult);
+        clean.correctedFields = Object.keys(activeCorrections(currentResult));
         navigator.clipboard.writeText(JSON.stringify(clean, null, 2));
         toast('Copied JSON to clipboard');
     });
@@ -235,94 +1320,248 @@
     });
 
     document.getElementById('scanAnother')?.addEventListener('click', () => {
+        if (queueRunning) return toast('Wait for the batch to finish');
         results.style.display = 'none';
+        backToQueue.style.display = 'none';
+        queueEl.style.display = 'none';
+        queue.length = 0;
         dropZone.style.display = '';
         fileInput.value = '';
         currentResult = null;
     });
 
-    document.getElementById('exportAllCsv')?.addEventListener('click', () => {
-        const history = getHistory();
+    document.getElementById('exportAllCsv')?.addEventListener('click', async () => {
+        const history = await ExRegister.all();
         if (!history.length) return toast('No history to export');
         exportCsv(history);
     });
 
-    document.getElementById('clearHistory')?.addEventListener('click', () => {
-        if (!confirm('Clear all scan history?')) return;
-        localStorage.removeItem(STORAGE_KEY);
+    document.getElementById('clearHistory')?.addEventListener('click', async () => {
+        if (!confirm('Clear all scan history? This also deletes the stored PDFs.')) return;
+        await ExRegister.clear();
         renderHistory();
         toast('History cleared');
     });
 
+    // === Backup & Restore ===
+    document.getElementById('backupRegister')?.addEventListener('click', async () => {
+        const backup = await ExRegister.exportBackup({ includeFiles: document.getElementById('backupFiles').checked });
+        if (!backup.entries.length) return toast('No history to back up');
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `ex-register-${new Date().toISOString().slice(0, 10)}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        toast(`Backed up ${backup.entries.length} certificate${backup.entries.length === 1 ? '' : 's'}`);
+    });
+
+    const restoreFile = document.getElementById('restoreFile');
+    document.getElementById('restoreRegister')?.addEventListener('click', () => restoreFile.click());
+
+    restoreFile.addEventListener('change', async () => {
+        const file = restoreFile.files[0];
+        restoreFile.value = '';
+        if (!file) return;
+        let data;
+        try { data = JSON.parse(await file.text()); }
+        catch { return toast('Not a valid JSON file'); }
+        const problems = ExRegister.validateBackup(data);
+        if (problems.length) {
+            importReview.style.display = '';
+            importReview.innerHTML = `
+                <h4>Cannot import ${esc(file.name)}</h4>
+                <ul>${problems.slice(0, 10).map(p => `<li>${esc(p)}</li>`).join('')}</ul>
+                ${problems.length > 10 ? `<p>…and ${problems.length - 10} more</p>` : ''}
+                <button class="btn btn-sm btn-secondary" data-action="close">Close</button>
+            `;
+            return;
+        }
+        try { renderImportReview(file.name, await ExRegister.planImport(data)); }
+        catch (err) { toast(`Cannot read the register: ${err?.message || err}`); }
+    });
+
+    // Duplicates need a decision per entry before anything is written
+    let pendingImport = null;
+
+    function renderImportReview(name, plan) {
+        const added = plan.filter(p => !p.existing).length;
+        const identical = plan.filter(p => p.identical).length;
+        const conflicts = plan.map((p, i) => ({ ...p, i })).filter(p => p.existing && !p.identical);
+        const label = e => esc(e.certNumber || e.fileName || 'Unknown certificate');
+        const when = e => e.scannedAt ? new Date(e.scannedAt).toLocaleDateString() : 'unknown date';
+        const fixes = e => (e.corrections || []).length;
+        importReview.style.display = '';
+        importReview.innerHTML = `
+            <h4>Import ${esc(name)}</h4>
+            <p>${added} new, ${identical} already stored, ${conflicts.length} to resolve.</p>
+            ${conflicts.length ? `
+                <table class="cert-table">
+                    <thead><tr><th>Certificate</th><th>Stored</th><th>In file</th><th>Keep</th></tr></thead>
+                    <tbody>
+                        ${conflicts.map(c => `
+                            <tr>
+                                <td class="mono">${label(c.incoming)}</td>
+                                <td>${c.inBackup ? 'Earlier in file: ' : ''}${label(c.existing)}<br>scanned ${when(c.existing)}, ${fixes(c.existing)} correction(s)</td>
+                                <td>${label(c.incoming)}<br>scanned ${when(c.incoming)}, ${fixes(c.incoming)} correction(s)</td>
+                                <td>
+                                    <select data-index="${c.i}">
+                                        <option value="existing">${c.inBackup ? 'Earlier in file' : 'Stored'}</option>
+                                        ${c.inBackup ? '' : '<option value="imported">From file</option>'}
+                                        <option value="both">Both</option>
+                                    </select>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            <div class="field-editor-actions">
+                <button class="btn btn-sm" data-action="import">Import</button>
+                <button class="btn btn-sm btn-secondary" data-action="close">Cancel</button>
+            </div>
+        `;
+        pendingImport = plan;
+    }
+
+    importReview.addEventListener('click', async e => {
+        const action = e.target.dataset.action;
+        if (action === 'close') {
+            importReview.style.display = 'none';
+        } else if (action === 'import') {
+            const choices = [];
+            importReview.querySelectorAll('select[data-index]').forEach(sel => { choices[sel.dataset.index] = sel.value; });
+            let counts;
+            try { counts = await ExRegister.applyImport(pendingImport, choices); }
+            catch (err) {
+                // The import is one transaction, so nothing was written
+                importReview.innerHTML = `
+                    <h4>Import failed</h4>
+                    <p>${esc(err?.message || String(err))}. The register is unchanged.</p>
+                    <button class="btn btn-sm btn-secondary" data-action="close">Close</button>
+                `;
+                pendingImport = null;
+                return;
+            }
+            pendingImport = null;
+            importReview.style.display = 'none';
+            renderHistory();
+            toast(`Imported: ${counts.added} added, ${counts.replaced} replaced, ${counts.skipped} skipped`);
+        }
+    });
+
     // === History ===
-    function getHistory() {
-        try { return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'); }
-        catch { return []; }
+    const HISTORY_SORTS = {
+        scanned: (a, b) => String(b.scannedAt || '').localeCompare(String(a.scannedAt || '')),
+        // Soonest expiry first; certificates without one go last
+        expiry: (a, b) => String(ExParser.parseDate(a.expiryDate) || '9999').localeCompare(String(ExParser.parseDate(b.expiryDate) || '9999')),
+        certNumber: (a, b) => String(a.certNumber || '~').localeCompare(String(b.certNumber || '~'), undefined, { numeric: true })
+    };
+
+    // Filters: control, and the values an entry offers for it
+    const HISTORY_FILTERS = [
+        { el: historyGroup, values: h => ratingsOf(h).map(r => r.group) },
+        { el: historyEpl, values: h => ratingsOf(h).map(r => r.epl) },
+        { el: historyManufacturer, values: h => [h.manufacturer] },
+        { el: historyCertType, values: h => String(h.certType || '').split(' + ') },
+        { el: historyStatus, values: h => [validityOf(h).status] }
+    ];
+
+    function searchText(h) {
+        return [h.certNumber, h.manufacturer, productOf(h), h.fileName,
+            ...markingsOf(h).map(m => m.text), ...variantsOf(h).map(v => v.model)]
+            .filter(Boolean).join(' ').toLowerCase();
     }
 
-    function saveToHistory(result) {
-        const history = getHistory();
-        const { raw, ...clean } = result;
-        history.unshift(clean);
-        // Keep max 50
-        if (history.length > 50) history.length = 50;
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+    // Keep each filter's options in step with what the register holds
+    function fillFilter(el, values) {
+        const current = el.value;
+        const options = [...new Set(values.filter(Boolean))].sort();
+        el.innerHTML = '<option value="">All</option>' +
+            options.map(v => `<option value="${esc(v).replace(/"/g, '&quot;')}">${esc(v)}</option>`).join('');
+        el.value = options.includes(current) ? current : '';
     }
 
-    function renderHistory() {
-        const history = getHistory();
+    async function renderHistory() {
+        const entries = await ExRegister.all();
+        // Filter, search and show the reviewed values
+        const history = entries.map(corrected);
+        // Lineage key → id of its latest issue
+        const currentIds = new Map(ExLineage.group(history).filter(l => l.issues.length > 1)
+            .map(l => [l.key, l.issues[l.issues.length - 1].id]));
+        const superseded = h => currentIds.has(ExLineage.lineageKey(h)) && currentIds.get(ExLineage.lineageKey(h)) !== h.id;
+        HISTORY_FILTERS.filter(f => f.el !== historyStatus)
+            .forEach(f => fillFilter(f.el, history.flatMap(f.values)));
         if (!history.length) {
+            historyCount.textContent = '';
             historyList.innerHTML = '<p class="empty-state">No certificates scanned yet.</p>';
             return;
         }
-        historyList.innerHTML = history.map((h, i) => `
-            <div class="history-item" data-index="${i}">
+        const terms = historySearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const shown = history
+            .filter(h => HISTORY_FILTERS.every(f => !f.el.value || f.values(h).includes(f.el.value)))
+            .filter(h => terms.every(t => searchText(h).includes(t)))
+            .filter(h => !historyCurrentOnly.checked || !superseded(h))
+            .sort(HISTORY_SORTS[historySort.value]);
+        historyCount.textContent = `${shown.length} of ${history.length} certificate${history.length === 1 ? '' : 's'}`;
+        if (!shown.length) {
+            historyList.innerHTML = '<p class="empty-state">No certificates match this filter.</p>';
+            return;
+        }
+        historyList.innerHTML = shown.map(h => {
+            const validity = validityOf(h);
+            return `
+            <div class="history-item" data-id="${h.id}">
                 <div class="history-item-left">
-                    <h4>${esc(h.certNumber || h.fileName || 'Unknown certificate')}</h4>
-                    <p>${esc(h.manufacturer || '')} ${h.equipment ? '— ' + esc(h.equipment) : ''}</p>
+                    <h4>${esc(h.certNumber || h.fileName || 'Unknown certificate')}${Object.keys(activeCorrections(h)).length ? ' <span class="field-corrected">Corrected</span>' : ''}${superseded(h) ? ' <span class="validity-badge no-expiry">Superseded</span>' : ''}</h4>
+                    <p>${esc(h.manufacturer || '')} ${productOf(h) ? '— ' + esc(productOf(h)) : ''}</p>
                 </div>
                 <div class="history-item-right">
                     <div class="history-item-marking">${esc(h.marking || '—')}</div>
-                    <div class="history-item-date">${h.scannedAt ? new Date(h.scannedAt).toLocaleDateString() : ''}</div>
+                    <div class="history-item-date">
+                        <span class="validity-badge ${validity.status}">${VALIDITY_LABELS[validity.status]}</span>
+                        ${h.scannedAt ? new Date(h.scannedAt).toLocaleDateString() : ''}
+                    </div>
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         // Click to view details
         historyList.querySelectorAll('.history-item').forEach(el => {
             el.addEventListener('click', () => {
-                const idx = parseInt(el.dataset.index);
-                const item = history[idx];
+                const item = entries.find(h => String(h.id) === el.dataset.id);
                 if (!item) return;
                 currentResult = item;
                 showSection('scanner');
                 document.querySelector('.nav-links a[href="#scanner"]').classList.add('active');
                 document.querySelector('.nav-links a[href="#history"]').classList.remove('active');
                 dropZone.style.display = 'none';
+                queueEl.style.display = 'none';
+                nameplateEl.style.display = 'none';
+                backToQueue.style.display = queue.length ? '' : 'none';
                 renderResults(item, item.confidence || 0);
-                rawText.textContent = item.raw || '(Raw text not stored in history)';
+                // Entries migrated from the old history have no raw text
+                rawText.textContent = item.raw || '(Raw text not stored for this scan)';
             });
         });
     }
 
+    HISTORY_FILTERS.forEach(f => f.el.addEventListener('change', renderHistory));
+    historySearch.addEventListener('input', renderHistory);
+    historyCurrentOnly.addEventListener('change', renderHistory);
+    historySort.addEventListener('change', renderHistory);
+    expiryWindowInput.value = expiryWindow();
+    expiryWindowInput.addEventListener('change', () => {
+        const days = parseInt(expiryWindowInput.value);
+        if (days > 0) localStorage.setItem(EXPIRY_WINDOW_KEY, days);
+        renderHistory();
+    });
+
     // === CSV Export ===
     function exportCsv(items) {
-        const fields = [
-            'certNumber', 'certType', 'marking', 'gasGroup', 'tempClass',
-            'epl', 'zone', 'ipRating', 'ambientTemp', 'manufacturer',
-            'equipment', 'notifiedBody', 'issueDate', 'expiryDate',
-            'category', 'group', 'standard', 'specialConditions', 'fileName', 'scannedAt'
-        ];
-        const header = fields.join(',');
-        const rows = items.map(item =>
-            fields.map(f => {
-                let val = item[f];
-                if (Array.isArray(val)) val = val.map(v => v.code || v).join('; ');
-                if (val == null) val = '';
-                return `"${String(val).replace(/"/g, '""')}"`;
-            }).join(',')
-        );
-        const csv = header + '\n' + rows.join('\n');
+        const csv = ExExport.toCsv(items, { prepare: corrected, warnDays: expiryWindow() });
         const blob = new Blob([csv], { type: 'text/csv' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
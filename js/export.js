@@ -0,0 +1,198 @@
+/**
+ * Ex Result Export
+ * Reads stored scan results in the current shape, whatever version saved
+ * them, and writes them as CSV. Shared by the app and the command-line tool.
+ * Builds on ExParser and the ExLoop unit formatting.
+ */
+
+const ExExport = ((ExParser, ExLoop) => {
+    // Results stored before markings were decoded hold plain strings
+    function markingsOf(data) {
+        return (data.markings || [])
+            .map(m => typeof m === 'string' ? ExParser.parseMarking(m) : m)
+            .filter(Boolean);
+    }
+
+    // Gas and dust ratings; older results only have the markings to go on
+    function ratingsOf(data, markings = markingsOf(data)) {
+        return {
+            gas: data.gas !== undefined ? data.gas : markings.find(m => m.atmosphere === 'gas') || null,
+            dust: data.dust !== undefined ? data.dust : markings.find(m => m.atmosphere === 'dust') || null
+        };
+    }
+
+    // A stored result in the current shape, whatever version saved it
+    function normalized(data) {
+        const markings = markingsOf(data);
+        // Results from before conditions were split only hold the text
+        const conditions = data.conditions || ExParser.splitConditions(data.specialConditions);
+        return { ...data, markings, ...ratingsOf(data, markings), conditions };
+    }
+
+    function warningsOf(data) {
+        return data.warnings || ExParser.validate(normalized(data));
+    }
+
+    function certPartsOf(data) {
+        return data.certParts || ExParser.parseCertNumber(data.certNumber);
+    }
+
+    // Older results stored the product name as a string in `equipment`
+    function productOf(data) {
+        return data.product || (typeof data.equipment === 'string' ? data.equipment : null);
+    }
+
+    function variantsOf(data) {
+        return Array.isArray(data.equipment) ? data.equipment : [];
+    }
+
+    // Latest correction per field, leaving out reverted ones
+    function activeCorrections(data) {
+        const latest = {};
+        (data.corrections || []).forEach(c => { latest[c.field] = c; });
+        for (const key of Object.keys(latest)) {
+            if (latest[key].value === latest[key].original) delete latest[key];
+        }
+        return latest;
+    }
+
+    // Ticks are kept per condition text in result.conditionChecks as
+    // { condition, checkedAt }, so they survive a correction that re-splits the list
+    function checkedConditions(data) {
+        return new Set((data.conditionChecks || []).map(c => c.condition));
+    }
+
+    function checklistProgress(data) {
+        const checked = checkedConditions(data);
+        return `${data.conditions.filter(c => checked.has(c.text)).length} of ${data.conditions.length} checked`;
+    }
+
+    // IEC equivalent of a Class/Division rating, e.g. "Zone 0/1 area · EPL Gb · IIC · T4"
+    function iecEquivalent(e) {
+        return [
+            `Zone ${e.zones.join('/')} area`,
+            `equipment ≈ EPL ${e.epl}`,
+            e.group,
+            e.tempClass
+        ].filter(Boolean).join(' · ');
+    }
+
+    function ratingText(r) {
+        return r.tempClass ? `${r.tempClass} (${r.maxSurfaceTemp}°C)` : `T${r.maxSurfaceTemp}°C`;
+    }
+
+    function ambientText(r) {
+        return r.ambientMin == null ? `up to +${r.ambientMax}°C` : `${r.ambientMin}°C to +${r.ambientMax}°C`;
+    }
+
+    const ENTITY_PARAMS = [
+        ['Ui', 'V'], ['Ii', 'A'], ['Pi', 'W'], ['Ci', 'F'], ['Li', 'H'],
+        ['Uo', 'V'], ['Io', 'A'], ['Po', 'W'], ['Co', 'F'], ['Lo', 'H']
+    ];
+
+    // === CSV ===
+    // Column → value, given the (normalized) result, its primary marking,
+    // all its markings and the export options
+    const CSV_COLUMNS = {
+        certNumber: r => r.certNumber,
+        certType: r => r.certType,
+        certBody: r => certPartsOf(r)?.body,
+        certYear: r => certPartsOf(r)?.year,
+        certSerial: r => certPartsOf(r)?.serial,
+        certSuffix: r => certPartsOf(r)?.suffix,
+        certIssue: r => certPartsOf(r)?.issue,
+        marking: r => r.marking,
+        gasGroup: (r, m, all) => ratingsOf(r, all).gas?.group,
+        tempClass: (r, m, all) => ratingsOf(r, all).gas?.tempClass,
+        gasEpl: (r, m, all) => ratingsOf(r, all).gas?.epl,
+        dustGroup: (r, m, all) => ratingsOf(r, all).dust?.group,
+        dustMaxSurfaceTemp: (r, m, all) => ratingsOf(r, all).dust?.maxSurfaceTemp,
+        dustLayer: (r, m, all) => {
+            const layer = ratingsOf(r, all).dust?.dustLayer;
+            return layer ? `T${layer.thickness} ${layer.maxSurfaceTemp}°C` : null;
+        },
+        dustEpl: (r, m, all) => ratingsOf(r, all).dust?.epl,
+        protectionTypes: (r, m) => (m.protection || []).map(p => p.code).join('; '),
+        markings: (r, m, all) => all.map(x => x.text).join('; '),
+        zone: r => r.zone,
+        ipRating: r => r.ipRating,
+        ambientTemp: r => r.ambientTemp,
+        tempRatings: r => (r.tempRatings || []).length > 1
+            ? r.tempRatings.map(x => `${ratingText(x)} at ${ambientText(x)}${x.condition ? ' (' + x.condition + ')' : ''}`).join('; ') : null,
+        manufacturer: r => r.manufacturer,
+        product: r => productOf(r),
+        model: r => r.model,
+        notifiedBody: r => r.notifiedBody,
+        nbNumber: r => r.nbNumber,
+        directiveMarking: r => r.directive?.text,
+        classDivision: r => (r.divisions || []).map(d => d.text).join('; '),
+        entityParameters: r => (r.entity || []).map((c, i) => `${c.circuit || 'Circuit ' + (i + 1)}: ` +
+            ENTITY_PARAMS.filter(([p]) => c.params[p] != null).map(([p, unit]) => `${p}=${ExLoop.format(c.params[p], unit)}`).join(' ')).join('; '),
+        classDivisionIec: r => (r.divisions || []).flatMap(d => d.iec.map(e => `Class ${e.class}: ${iecEquivalent(e)}`)).join('; '),
+        issueDate: r => ExParser.parseDate(r.issueDate),
+        issueDateText: r => r.issueDateText || r.issueDate,
+        expiryDate: r => ExParser.parseDate(r.expiryDate),
+        expiryDateText: r => r.expiryDateText || r.expiryDate,
+        validity: (r, m, all, options) => ExParser.validity(r, { warnDays: options.warnDays }).status,
+        category: r => r.category,
+        group: r => r.group,
+        standard: r => r.standard,
+        language: r => r.language,
+        profile: r => r.profile,
+        specialConditions: r => r.specialConditions,
+        conditionCategories: r => [...new Set(r.conditions.flatMap(c => c.categories))]
+            .map(k => ExParser.CONDITION_CATEGORIES[k].label).join('; '),
+        conditionsChecked: r => r.conditions.length ? checklistProgress(r) : null,
+        warnings: r => warningsOf(r).map(w => w.message).join('; '),
+        correctedFields: r => Object.keys(activeCorrections(r)).join('; '),
+        corrections: r => Object.values(activeCorrections(r)).map(c =>
+            `${c.field}: ${c.original ?? '(none)'} → ${c.value ?? '(none)'}${c.note ? ' (' + c.note + ')' : ''} [${c.correctedAt}]`).join('; '),
+        ocrConfidence: r => r.ocrConfidence,
+        fileName: r => r.fileName,
+        scannedAt: r => r.scannedAt
+    };
+
+    /**
+     * Results as CSV text, one row per model variant; the variant's own
+     * markings and ratings replace the certificate-level ones.
+     * Options: `prepare` maps each result first (default: normalized),
+     * `warnDays` is the expiry warning window for the validity column.
+     */
+    function toCsv(items, { prepare = normalized, warnDays = 90 } = {}) {
+        const options = { warnDays };
+        const header = Object.keys(CSV_COLUMNS).join(',');
+        const expanded = items.map(prepare).flatMap(item => {
+            const variants = variantsOf(item);
+            if (!variants.length) return [item];
+            return variants.map(v => ({
+                ...item,
+                model: v.model,
+                marking: v.markings[0] || null,
+                markings: v.markings,
+                ambientTemp: v.ambientTemp,
+                gas: v.gas,
+                dust: v.dust
+            }));
+        });
+        const rows = expanded.map(item => {
+            const all = markingsOf(item);
+            return Object.values(CSV_COLUMNS).map(get => {
+                let val = get(item, all[0] || {}, all, options);
+                if (val == null) val = '';
+                return `"${String(val).replace(/"/g, '""')}"`;
+            }).join(',');
+        });
+        return header + '\n' + rows.join('\n');
+    }
+
+    return {
+        markingsOf, ratingsOf, normalized, warningsOf, certPartsOf, productOf, variantsOf,
+        activeCorrections, checkedConditions, checklistProgress, iecEquivalent, ratingText, ambientText,
+        ENTITY_PARAMS, CSV_COLUMNS, toCsv
+    };
+})(
+    typeof ExParser !== 'undefined' ? ExParser : require('./parser.js'),
+    typeof ExLoop !== 'undefined' ? ExLoop : require('./loop.js')
+);
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExExport;
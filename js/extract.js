@@ -0,0 +1,271 @@
+/**
+ * Ex Certificate Text Extraction
+ * PDF → text with pdf.js, OCRing scanned pages and nameplate photos with
+ * Tesseract, and text → scan result. No DOM access beyond the default OCR
+ * canvas, so the app and the command-line tool share it.
+ * Builds on ExLayout for reading order and ExParser for the result.
+ */
+
+const ExExtract = ((ExLayout, ExParser) => {
+    // Below this many non-space characters a page is treated as scanned
+    const MIN_TEXT_LENGTH = 50;
+
+    // OCR renders at about 300 dpi (PDF units are 1/72 in), within the
+    // canvas size browsers allow
+    const OCR_DPI = 300;
+    const MAX_CANVAS_PIXELS = 16e6;
+
+    // A page read with a lower mean word confidence (0–100) is tried again
+    // turned a quarter, half and three-quarter turn
+    const MIN_PAGE_CONFIDENCE = 60;
+
+    function isScanned(text) {
+        return text.replace(/\s+/g, '').length < MIN_TEXT_LENGTH;
+    }
+
+    // Text layer of one page in reading order, with its text-range boxes
+    async function pageText(page) {
+        const content = await page.getTextContent();
+        return ExLayout.pageLayout(content.items);
+    }
+
+    // Page text in reading order, plus boxes mapping text ranges to pages
+    async function extractPdfText(pdf) {
+        let text = '';
+        const boxes = [];
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const layout = await pageText(await pdf.getPage(i));
+            const offset = text.length;
+            layout.boxes.forEach(b => boxes.push({ ...b, page: i, start: b.start + offset, end: b.end + offset }));
+            text += layout.text + '\n\n';
+        }
+        return { text, boxes };
+    }
+
+    /**
+     * OCR hooks with their defaults: createWorker(lang) — the browser's
+     * Tesseract global, which recognizes in a Web Worker — createCanvas(width,
+     * height) — a DOM canvas — and toImage(canvas) — the canvas itself.
+     * `lang` is the Tesseract language list (default "eng").
+     */
+    function ocrHooks(ocr = {}) {
+        return {
+            lang: ocr.lang || 'eng',
+            createWorker: ocr.createWorker || (lang => Tesseract.createWorker(lang)),
+            createCanvas: ocr.createCanvas || ((width, height) => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                return canvas;
+            }),
+            toImage: ocr.toImage || (canvas => canvas)
+        };
+    }
+
+    function rotated(canvas, turn, hooks) {
+        const quarter = turn % 180 !== 0;
+        const out = hooks.createCanvas(quarter ? canvas.height : canvas.width, quarter ? canvas.width : canvas.height);
+        const ctx = out.getContext('2d');
+        ctx.translate(out.width / 2, out.height / 2);
+        ctx.rotate(turn * Math.PI / 180);
+        ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        return out;
+    }
+
+    // Tesseract straightens small skews itself (rotateAuto)
+    async function recognize(worker, canvas, hooks) {
+        const { data } = await worker.recognize(hooks.toImage(canvas), { rotateAuto: true });
+        return {
+            text: data.text,
+            confidence: data.confidence,
+            words: (data.words || []).map(w => ({ text: w.text, confidence: w.confidence }))
+        };
+    }
+
+    // Read an image in whichever orientation reads best:
+    // { text, confidence, words, rotation }
+    async function readCanvas(canvas, worker, hooks) {
+        let best = { ...await recognize(worker, canvas, hooks), rotation: 0 };
+        for (const turn of [90, 180, 270]) {
+            if (best.confidence >= MIN_PAGE_CONFIDENCE) break;
+            const read = await recognize(worker, rotated(canvas, turn, hooks), hooks);
+            if (read.confidence > best.confidence) best = { ...read, rotation: turn };
+        }
+        return best;
+    }
+
+    // Read one page, rendered at OCR_DPI
+    async function ocrPage(page, worker, hooks) {
+        const base = page.getViewport({ scale: 1 });
+        const scale = Math.min(OCR_DPI / 72, Math.sqrt(MAX_CANVAS_PIXELS / (base.width * base.height)));
+        const viewport = page.getViewport({ scale });
+        const canvas = hooks.createCanvas(Math.floor(viewport.width), Math.floor(viewport.height));
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return readCanvas(canvas, worker, hooks);
+    }
+
+    /**
+     * OCR text of a page after the Ex misread corrections, with the span of
+     * each word in it and that word's confidence.
+     */
+    function correctedPage(read) {
+        const words = [];
+        let cursor = 0;
+        for (const w of read.words) {
+            const at = w.text ? read.text.indexOf(w.text, cursor) : -1;
+            if (at === -1 || at - cursor > 40) continue;
+            words.push({ start: at, end: at + w.text.length, confidence: w.confidence });
+            cursor = at + w.text.length;
+        }
+        const { text, corrections } = ExParser.correctOcr(read.text);
+        // Move the spans with the text; a word inside a shortened stretch ends with it
+        for (const c of corrections) {
+            const delta = c.to.length - c.from.length;
+            if (!delta) continue;
+            const end = c.index + c.from.length;
+            const move = pos => pos >= end ? pos + delta : Math.min(pos, c.index + c.to.length);
+            words.forEach(w => { w.start = move(w.start); w.end = move(w.end); });
+        }
+        return { text, corrections: corrections.map(({ from, to }) => ({ from, to })), words };
+    }
+
+    /**
+     * Text of a PDF given as bytes (ArrayBuffer or Uint8Array). Pages
+     * without a text layer are OCRed, so a scanned schedule inside a text
+     * PDF is read too. Options: `pdfjs` (default: the pdfjsLib global),
+     * `onStatus`, `signal` (an AbortSignal that cancels the scan) and `ocr`
+     * — false to skip OCR, or OCR hooks as for ocrHooks.
+     * Resolves to { text, boxes, usedOcr, scannedPages, ocr, pdf }: boxes
+     * cover the text-layer pages; `ocr` (null without OCR) holds the OCRed
+     * pages { page, confidence, rotation }, the words' text spans and
+     * confidences, and the misread corrections made.
+     */
+    async function extractText(data, { pdfjs, onStatus = () => {}, ocr = {}, signal } = {}) {
+        const lib = pdfjs || pdfjsLib;
+        const pdf = await lib.getDocument({ data: data instanceof Uint8Array ? data : new Uint8Array(data) }).promise;
+        const hooks = ocr === false ? null : ocrHooks(ocr);
+
+        let text = '';
+        const boxes = [], scannedPages = [];
+        const read = { pages: [], words: [], corrections: [] };
+        let worker = null;
+        let ending = null;
+        // Once only; a worker still starting when Cancel is pressed is ended in finally
+        const stop = () => {
+            if (worker && !ending) ending = worker.terminate();
+            return ending;
+        };
+        signal?.addEventListener('abort', stop);
+        try {
+            for (let i = 1; i <= pdf.numPages; i++) {
+                signal?.throwIfAborted();
+                const page = await pdf.getPage(i);
+                const layout = await pageText(page);
+                const offset = text.length;
+                if (!isScanned(layout.text) || !hooks) {
+                    if (isScanned(layout.text)) scannedPages.push(i);
+                    layout.boxes.forEach(b => boxes.push({ ...b, page: i, start: b.start + offset, end: b.end + offset }));
+                    text += layout.text + '\n\n';
+                    continue;
+                }
+                scannedPages.push(i);
+                if (!worker) {
+                    onStatus('Scanned page detected — starting OCR (this may take 30-60 seconds)...');
+                    worker = await hooks.createWorker(hooks.lang);
+                    signal?.throwIfAborted();
+                }
+                onStatus(`Running OCR — page ${i} of ${pdf.numPages}...`);
+                const result = await ocrPage(page, worker, hooks);
+                signal?.throwIfAborted();
+                const fixed = correctedPage(result);
+                read.pages.push({ page: i, confidence: Math.round(result.confidence), rotation: result.rotation });
+                fixed.words.forEach(w => read.words.push({ ...w, start: w.start + offset, end: w.end + offset }));
+                fixed.corrections.forEach(c => read.corrections.push({ ...c, page: i }));
+                text += fixed.text + '\n\n';
+            }
+        } catch (err) {
+            // Terminating the worker rejects its recognize() with its own error
+            signal?.throwIfAborted();
+            throw err;
+        } finally {
+            signal?.removeEventListener('abort', stop);
+            await stop();
+        }
+        const usedOcr = read.pages.length > 0;
+        return { text, boxes, usedOcr, scannedPages, ocr: usedOcr ? read : null, pdf };
+    }
+
+    /**
+     * Text of a photo (a nameplate), drawn on a canvas. Options as for
+     * extractText, less `pdfjs`. Resolves to { text, ocr } with `ocr` as
+     * from extractText, the photo counting as page 1.
+     */
+    async function extractImageText(canvas, { onStatus = () => {}, ocr = {}, signal } = {}) {
+        const hooks = ocrHooks(ocr);
+        onStatus('Starting OCR...');
+        const worker = await hooks.createWorker(hooks.lang);
+        let ending = null;
+        const stop = () => {
+            if (!ending) ending = worker.terminate();
+            return ending;
+        };
+        signal?.addEventListener('abort', stop);
+        try {
+            signal?.throwIfAborted();
+            onStatus('Running OCR on the photo...');
+            const result = await readCanvas(canvas, worker, hooks);
+            signal?.throwIfAborted();
+            const { text, corrections, words } = correctedPage(result);
+            return {
+                text,
+                ocr: { pages: [{ page: 1, confidence: Math.round(result.confidence), rotation: result.rotation }], words, corrections: corrections.map(c => ({ ...c, page: 1 })) }
+            };
+        } catch (err) {
+            signal?.throwIfAborted();
+            throw err;
+        } finally {
+            signal?.removeEventListener('abort', stop);
+            await stop();
+        }
+    }
+
+    /**
+     * Scale each cited field's confidence by the mean OCR confidence of
+     * the words it was read from; fields from text-layer pages keep theirs.
+     */
+    function weighByOcr(evidence, words) {
+        for (const ev of Object.values(evidence)) {
+            const hits = words.filter(w => w.start < ev.end && w.end > ev.start);
+            if (!hits.length) continue;
+            ev.ocrConfidence = Math.round(hits.reduce((sum, w) => sum + w.confidence, 0) / hits.length);
+            ev.confidence = +(ev.confidence * ev.ocrConfidence / 100).toFixed(2);
+        }
+    }
+
+    // Scan result for extracted text, as stored in the register
+    // `ocr` is extractText's OCR record, when pages were OCRed
+    function buildResult(text, { fileName = null, usedOcr = false, ocr = null } = {}) {
+        const parsed = ExParser.parse(text);
+        if (ocr) weighByOcr(parsed.evidence, ocr.words);
+        return {
+            ...parsed,
+            warnings: ExParser.validate(parsed),
+            fileName,
+            scannedAt: new Date().toISOString(),
+            confidence: ExParser.confidence(parsed),
+            usedOcr,
+            ...(ocr && {
+                ocrPages: ocr.pages,
+                ocrConfidence: ocr.words.length ? Math.round(ocr.words.reduce((sum, w) => sum + w.confidence, 0) / ocr.words.length) : null,
+                ocrCorrections: ocr.corrections
+            })
+        };
+    }
+
+    return { extractPdfText, ocrPage, extractText, extractImageText, buildResult, MIN_TEXT_LENGTH };
+})(
+    typeof ExLayout !== 'undefined' ? ExLayout : require('./layout.js'),
+    typeof ExParser !== 'undefined' ? ExParser : require('./parser.js')
+);
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExExtract;
@@ -0,0 +1,16 @@
+/**
+ * CommonJS entry point for scripts and pipelines: the browser modules
+ * that need no DOM. Loading it registers the built-in issuer profiles.
+ */
+
+module.exports = {
+    ExLayout: require('./layout.js'),
+    ExParser: require('./parser.js'),
+    ExProfiles: require('./profiles.js'),
+    ExExtract: require('./extract.js'),
+    ExLoop: require('./loop.js'),
+    ExExport: require('./export.js'),
+    ExLineage: require('./lineage.js'),
+    ExNameplate: require('./nameplate.js'),
+    ExSuitability: require('./suitability.js')
+};
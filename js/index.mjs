@@ -0,0 +1,9 @@
+/**
+ * ES module entry point; the same modules as index.cjs.
+ */
+
+import modules from './index.cjs';
+
+export const { ExLayout, ExParser, ExProfiles, ExExtract, ExLoop, ExExport, ExLineage, ExNameplate, ExSuitability } = modules;
+export const { parse, validate, confidence } = ExParser;
+export default ExParser;
@@ -0,0 +1,196 @@
+/**
+ * Ex Certificate Layout
+ * Rebuilds page text from pdf.js text items using their positions, so the
+ * parser sees real lines instead of one long run of words per page.
+ *
+ * Output conventions:
+ *   - one line per visual row, top to bottom
+ *   - table cells on the same row are separated by a tab
+ *   - columns of running text are read one after the other, left to right
+ *   - a blank line where the vertical gap suggests a new paragraph
+ */
+
+const ExLayout = (() => {
+    // Gap (in font heights) between two runs on a row that starts a new cell
+    const CELL_GAP = 1.5;
+    // Gap (in font heights) between two items of a run that needs a space
+    const WORD_GAP = 0.15;
+    // Gap (in font heights) between two rows that starts a new paragraph
+    const PARAGRAPH_GAP = 1.8;
+    // A column holds at least this many runs of this mean length; table
+    // cells are shorter and stay on their rows
+    const COLUMN_MIN_LINES = 3;
+    const COLUMN_MIN_CHARS = 25;
+    // How far (in font heights) a line may start right of its column's edge
+    const COLUMN_INDENT = 3;
+
+    function itemSize(item) {
+        const [, , c, d] = item.transform;
+        return Math.hypot(c, d) || item.height || 10;
+    }
+
+    // Runs are consecutive items in content-stream order on one baseline.
+    // pdf.js marks explicit line ends with hasEOL.
+    function buildRuns(items) {
+        const runs = [];
+        let run = null;
+
+        for (const item of items) {
+            if (item.str === undefined) continue; // marked-content items
+            const x = item.transform[4];
+            const y = item.transform[5];
+            const size = itemSize(item);
+
+            if (item.str) {
+                const sameLine = run && Math.abs(y - run.y) <= size * 0.5 && x >= run.end - size;
+                if (!sameLine || x - run.end > size * CELL_GAP) {
+                    run = { x, y, end: x, size, text: '' };
+                    runs.push(run);
+                } else if (x - run.end > size * WORD_GAP && !/\s$/.test(run.text) && !/^\s/.test(item.str)) {
+                    run.text += ' ';
+                }
+                run.text += item.str;
+                run.end = Math.max(run.end, x + (item.width || 0));
+                run.size = Math.max(run.size, size);
+            }
+
+            if (item.hasEOL) run = null;
+        }
+
+        return runs.filter(r => r.text.trim());
+    }
+
+    // Rows are runs sharing a baseline, even when the PDF wrote them apart
+    // (table cells are often emitted column by column).
+    function buildRows(runs) {
+        const sorted = [...runs].sort((a, b) => b.y - a.y || a.x - b.x);
+        const rows = [];
+        for (const run of sorted) {
+            const row = rows[rows.length - 1];
+            if (row && Math.abs(row.y - run.y) <= Math.min(row.size, run.size) * 0.5) {
+                row.runs.push(run);
+                row.size = Math.max(row.size, run.size);
+            } else {
+                rows.push({ y: run.y, size: run.size, runs: [run] });
+            }
+        }
+        for (const row of rows) row.runs.sort((a, b) => a.x - b.x);
+        return rows;
+    }
+
+    // Runs grouped into x-bands: a gap wider than a cell gap separates two
+    function xBands(runs) {
+        const bands = [];
+        for (const run of [...runs].sort((a, b) => a.x - b.x)) {
+            const band = bands[bands.length - 1];
+            if (band && run.x - band.end <= run.size * CELL_GAP) {
+                band.end = Math.max(band.end, run.end);
+                band.runs.push(run);
+            } else {
+                bands.push({ x: run.x, end: run.end, runs: [run] });
+            }
+        }
+        return bands;
+    }
+
+    function isTextColumn(band) {
+        const chars = band.runs.reduce((n, r) => n + r.text.trim().length, 0);
+        return band.runs.length >= COLUMN_MIN_LINES && chars / band.runs.length >= COLUMN_MIN_CHARS;
+    }
+
+    // A row continues a stretch when the stretch keeps its x-bands and each
+    // of the row's runs starts at the left edge of one of them
+    function continues(stretch, row) {
+        const bands = xBands([...stretch.runs, ...row.runs]);
+        return bands.length === stretch.bands.length &&
+            row.runs.every(r => bands.some(b => r.x >= b.x && r.x - b.x <= r.size * COLUMN_INDENT));
+    }
+
+    /**
+     * Rows in reading order. Rows are cut into stretches that share their
+     * x-bands; a stretch of two or more bands of running text is read one
+     * column after the other, anything else (tables included) row by row.
+     */
+    function orderRows(rows) {
+        const stretches = [];
+        for (const row of rows) {
+            const stretch = stretches[stretches.length - 1];
+            if (stretch && continues(stretch, row)) {
+                stretch.rows.push(row);
+                stretch.runs.push(...row.runs);
+                stretch.bands = xBands(stretch.runs);
+            } else {
+                stretches.push({ rows: [row], runs: [...row.runs], bands: xBands(row.runs) });
+            }
+        }
+
+        const ordered = [];
+        for (const stretch of stretches) {
+            if (stretch.bands.length > 1 && stretch.bands.every(isTextColumn)) {
+                for (const band of stretch.bands) {
+                    buildRows(band.runs).forEach((row, i) => ordered.push({ ...row, columnStart: i === 0 }));
+                }
+            } else {
+                ordered.push(...stretch.rows);
+            }
+        }
+        return ordered;
+    }
+
+    // Text of one row, plus the offset of each run within it
+    function rowText(row) {
+        let text = '';
+        let end = null;
+        const offsets = [];
+        for (const run of row.runs) {
+            if (end !== null) {
+                text += run.x - end > run.size * CELL_GAP ? '\t' : ' ';
+            }
+            const runText = run.text.trim().replace(/ {2,}/g, ' ');
+            offsets.push({ run, start: text.length, end: text.length + runText.length });
+            text += runText;
+            end = run.end;
+        }
+        return { text, offsets };
+    }
+
+    /**
+     * Rebuild the text of one page from pdf.js `getTextContent().items`.
+     * `boxes` map character ranges of the text back to page coordinates
+     * (PDF units, origin bottom-left, y at the baseline).
+     */
+    function pageLayout(items) {
+        const rows = orderRows(buildRows(buildRuns(items)));
+        let text = '';
+        const boxes = [];
+        let prev = null;
+        for (const row of rows) {
+            if (prev) {
+                const gap = prev.y - row.y > Math.max(prev.size, row.size) * PARAGRAPH_GAP;
+                text += gap || row.columnStart ? '\n\n' : '\n';
+            }
+            const line = rowText(row);
+            for (const o of line.offsets) {
+                boxes.push({
+                    start: text.length + o.start,
+                    end: text.length + o.end,
+                    x: o.run.x,
+                    y: o.run.y,
+                    width: o.run.end - o.run.x,
+                    height: o.run.size
+                });
+            }
+            text += line.text;
+            prev = row;
+        }
+        return { text, boxes };
+    }
+
+    function pageText(items) {
+        return pageLayout(items).text;
+    }
+
+    return { pageText, pageLayout };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExLayout;
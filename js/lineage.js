@@ -0,0 +1,147 @@
+/**
+ * Ex Certificate Lineage
+ * Groups scans of one base certificate (IECEx issues /1, /2 …, ATEX
+ * supplements) and compares any two issues field by field.
+ * Builds on the ExParser certificate number decomposition.
+ */
+
+const ExLineage = (ExParser => {
+    // Plain fields compared as text
+    const TEXT_FIELDS = {
+        certNumber: 'Certificate number',
+        manufacturer: 'Manufacturer',
+        product: 'Equipment / Product',
+        notifiedBody: 'Notified Body',
+        nbNumber: 'NB number',
+        issueDate: 'Issue date',
+        expiryDate: 'Expiry date',
+        zone: 'Zone',
+        ipRating: 'IP rating',
+        ambientTemp: 'Ambient temperature',
+        category: 'ATEX category',
+        group: 'Equipment group'
+    };
+
+    const RATING_FIELDS = {
+        group: 'group',
+        tempClass: 'temperature class',
+        maxSurfaceTemp: 'max surface temperature',
+        epl: 'EPL'
+    };
+
+    function partsOf(result) {
+        return result.certParts || ExParser.parseCertNumber(result.certNumber);
+    }
+
+    // Scans with the same key are issues of one certificate
+    function lineageKey(result) {
+        const parts = partsOf(result);
+        return parts ? parts.base.toUpperCase().replace(/\s+/g, '') : null;
+    }
+
+    // Issue or supplement number; the original issue counts as 0
+    function issueNumber(result) {
+        const parts = partsOf(result);
+        return parts && parts.issue ? parseInt(parts.issue) || 0 : 0;
+    }
+
+    /**
+     * Group results into lineages: [{ key, issues[] }], issues oldest
+     * first. Results without a certificate number are left out. The last
+     * issue is the current one.
+     */
+    function group(results) {
+        const lineages = new Map();
+        for (const r of results) {
+            const key = lineageKey(r);
+            if (!key) continue;
+            if (!lineages.has(key)) lineages.set(key, { key, issues: [] });
+            lineages.get(key).issues.push(r);
+        }
+        for (const l of lineages.values()) {
+            l.issues.sort((a, b) => issueNumber(a) - issueNumber(b) ||
+                String(a.issueDate || '').localeCompare(String(b.issueDate || '')));
+        }
+        return [...lineages.values()];
+    }
+
+    function text(v) {
+        return v == null || v === '' ? null : String(v).replace(/\s+/g, ' ').trim();
+    }
+
+    // Standards by part number, e.g. "60079-0" → "IEC 60079-0:2017"
+    function standards(str) {
+        const map = new Map();
+        for (const item of String(str || '').split(/[,;\n]/).map(s => s.trim()).filter(Boolean)) {
+            const part = item.match(/60079-\d+/);
+            map.set(part ? part[0] : item.toUpperCase(), item);
+        }
+        return map;
+    }
+
+    // Special conditions as separate items
+    function conditions(str) {
+        return ExParser.splitConditions(str).map(c => c.text);
+    }
+
+    function listDiff(field, label, from, to, out) {
+        const a = new Set(from), b = new Set(to);
+        a.forEach(x => { if (!b.has(x)) out.push({ field, label, kind: 'removed', from: x, to: null }); });
+        b.forEach(x => { if (!a.has(x)) out.push({ field, label, kind: 'added', from: null, to: x }); });
+    }
+
+    /**
+     * Field-by-field changes from issue `a` to issue `b`:
+     * [{ field, label, kind: 'changed'|'added'|'removed'|'revised', from, to }].
+     * Both should be in the current result shape (markings decoded).
+     */
+    function diff(a, b) {
+        const out = [];
+
+        for (const [field, label] of Object.entries(TEXT_FIELDS)) {
+            const from = text(a[field]), to = text(b[field]);
+            if (from === to) continue;
+            out.push({ field, label, kind: from == null ? 'added' : to == null ? 'removed' : 'changed', from, to });
+        }
+
+        const da = text(a.directive?.text), db = text(b.directive?.text);
+        if (da !== db) {
+            out.push({ field: 'directive', label: 'ATEX directive marking', kind: da == null ? 'added' : db == null ? 'removed' : 'changed', from: da, to: db });
+        }
+
+        listDiff('markings', 'Ex marking', (a.markings || []).map(m => text(m.text)), (b.markings || []).map(m => text(m.text)), out);
+
+        for (const atmosphere of ['gas', 'dust']) {
+            const ra = a[atmosphere] || {}, rb = b[atmosphere] || {};
+            for (const [prop, name] of Object.entries(RATING_FIELDS)) {
+                const from = text(ra[prop]), to = text(rb[prop]);
+                if (from === to) continue;
+                const label = `${atmosphere === 'gas' ? 'Gas' : 'Dust'} ${name}`;
+                out.push({ field: `${atmosphere}.${prop}`, label, kind: from == null ? 'added' : to == null ? 'removed' : 'changed', from, to });
+            }
+        }
+
+        listDiff('divisions', 'Class/Division marking', (a.divisions || []).map(d => text(d.text)), (b.divisions || []).map(d => text(d.text)), out);
+
+        const models = r => (Array.isArray(r.equipment) ? r.equipment : []).map(v => v.model);
+        listDiff('equipment', 'Model', models(a), models(b), out);
+
+        // Same standard at a different edition is a revision, not add + remove
+        const sa = standards(a.standard), sb = standards(b.standard);
+        for (const [key, item] of sa) {
+            if (!sb.has(key)) out.push({ field: 'standard', label: 'Standard', kind: 'removed', from: item, to: null });
+            else if (text(sb.get(key)) !== text(item)) out.push({ field: 'standard', label: 'Standard', kind: 'revised', from: item, to: sb.get(key) });
+        }
+        for (const [key, item] of sb) {
+            if (!sa.has(key)) out.push({ field: 'standard', label: 'Standard', kind: 'added', from: null, to: item });
+        }
+
+        listDiff('specialConditions', 'Special condition', conditions(a.specialConditions), conditions(b.specialConditions), out);
+
+        return out;
+    }
+
+    return { lineageKey, issueNumber, group, diff };
+})(typeof ExParser !== 'undefined' ? ExParser : require('./parser.js'));
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExLineage;
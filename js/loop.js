@@ -0,0 +1,109 @@
+/**
+ * Ex Intrinsic Safety Loop Check
+ * Entity-concept check of one associated apparatus (barrier, isolator)
+ * against one intrinsically safe field device and the cable between them.
+ * Builds on the ExParser entity parameters (SI units).
+ */
+
+const ExLoop = (() => {
+    // IEC 60079-14 typical cable values when the cable data is not known
+    const DEFAULT_CABLE = { capacitancePerM: 200e-12, inductancePerM: 1e-6 };
+
+    // Engineering notation: 1.07e-7 F → "107 nF"
+    const PREFIXES = [[1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ'], [1e-9, 'n'], [1e-12, 'p']];
+
+    function format(value, unit) {
+        if (value == null) return '—';
+        if (value === 0) return `0 ${unit}`;
+        const [scale, prefix] = PREFIXES.find(([s]) => Math.abs(value) >= s) || PREFIXES[PREFIXES.length - 1];
+        return `${+(value / scale).toPrecision(3)} ${prefix}${unit}`;
+    }
+
+    // Source must not exceed what the device may receive: Uo ≤ Ui …
+    function checkLimit(id, source, device, unit) {
+        const [out, inp] = [`${id}o`, `${id}i`];
+        const label = `${out} ≤ ${inp}`;
+        if (source[out] == null || device[inp] == null) {
+            return { id: out, label, pass: null, reason: `${source[out] == null ? out : inp} not stated` };
+        }
+        const pass = source[out] <= device[inp];
+        return {
+            id: out, label, pass,
+            reason: `${out} ${format(source[out], unit)} ${pass ? '≤' : '>'} ${inp} ${format(device[inp], unit)}`
+        };
+    }
+
+    // … and must allow for what the device and cable store: Co ≥ Ci + Ccable
+    function checkStored(id, source, device, cableValue, unit) {
+        const [out, inp] = [`${id}o`, `${id}i`];
+        const label = `${out} ≥ ${inp} + ${id}cable`;
+        if (source[out] == null || device[inp] == null) {
+            return { id: out, label, pass: null, reason: `${source[out] == null ? out : inp} not stated` };
+        }
+        const total = device[inp] + cableValue;
+        const pass = source[out] >= total;
+        return {
+            id: out, label, pass,
+            reason: `${out} ${format(source[out], unit)} ${pass ? '≥' : '<'} ${format(device[inp], unit)} + ${format(cableValue, unit)} = ${format(total, unit)}`
+        };
+    }
+
+    /**
+     * Where Ci and Li both exceed 1% of Co and Lo, IEC 60079-14 halves the
+     * permitted values (the Co/Lo pair is only valid for lumped C or L).
+     */
+    function checkCombined(source, device, cable) {
+        const label = 'Combined C and L (IEC 60079-14)';
+        if ([source.Co, source.Lo, device.Ci, device.Li].some(v => v == null)) return null;
+        if (!(device.Ci > 0.01 * source.Co && device.Li > 0.01 * source.Lo)) return null;
+
+        const c = device.Ci + cable.capacitance, l = device.Li + cable.inductance;
+        const pass = c <= source.Co / 2 && l <= source.Lo / 2;
+        return {
+            id: 'combined', label, pass,
+            reason: `Ci and Li both exceed 1% of Co and Lo: ${format(c, 'F')} ${c <= source.Co / 2 ? '≤' : '>'} Co/2, ` +
+                `${format(l, 'H')} ${l <= source.Lo / 2 ? '≤' : '>'} Lo/2`
+        };
+    }
+
+    /**
+     * Cable totals from { length (m), capacitancePerM (F/m), inductancePerM (H/m) };
+     * missing per-metre values use the typical defaults.
+     */
+    function cableValues(cable = {}) {
+        const length = Number(cable.length) || 0;
+        const capacitancePerM = cable.capacitancePerM ?? DEFAULT_CABLE.capacitancePerM;
+        const inductancePerM = cable.inductancePerM ?? DEFAULT_CABLE.inductancePerM;
+        return {
+            length, capacitancePerM, inductancePerM,
+            capacitance: length * capacitancePerM,
+            inductance: length * inductancePerM
+        };
+    }
+
+    /**
+     * Check a loop. `source` and `device` are entity parameter sets
+     * ({ Uo, Io, Po, Co, Lo } and { Ui, Ii, Pi, Ci, Li }); `cable` as for
+     * cableValues. Returns { pass, cable, checks[] }; pass is null when
+     * nothing failed but some parameter was missing.
+     */
+    function check(source, device, cable) {
+        const c = cableValues(cable);
+        const checks = [
+            checkLimit('U', source, device, 'V'),
+            checkLimit('I', source, device, 'A'),
+            checkLimit('P', source, device, 'W'),
+            checkStored('C', source, device, c.capacitance, 'F'),
+            checkStored('L', source, device, c.inductance, 'H'),
+            checkCombined(source, device, c)
+        ].filter(Boolean);
+
+        const failed = checks.some(x => x.pass === false);
+        const unknown = checks.some(x => x.pass === null);
+        return { pass: failed ? false : unknown ? null : true, cable: c, checks };
+    }
+
+    return { check, cableValues, format, DEFAULT_CABLE };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExLoop;
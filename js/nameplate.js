@@ -0,0 +1,235 @@
+/**
+ * Ex Nameplate Check
+ * Reads an equipment nameplate (OCR text of a photo) and compares it with
+ * the certificate it names: the marking must be one the certificate
+ * gives, and its group, temperature class, EPL and protection types ones
+ * the certificate covers.
+ * Builds on ExParser for the marking and ExLineage to find the certificate.
+ */
+
+const ExNameplate = ((ExParser, ExLineage) => {
+    const SERIAL_RE = /\b(?:Serial\s*(?:No\.?|Number|#)|S\/N|Ser\.?\s*No\.?|Fabr(?:ikations)?\.?\s*-?\s*Nr\.?|Serien-?\s*(?:Nr\.?|nummer)|N[°o]\.?\s*de\s*s[ée]rie|Matricola|Serienr\.?)\s*[:.#]?\s*([A-Z0-9][A-Z0-9\-/.]{2,24})/i;
+    const YEAR_RE = /\b(?:Year(?:\s+of\s+(?:manufacture|construction))?|Baujahr|Herstellungsjahr|Ann[ée]e(?:\s+de\s+fabrication)?|Anno(?:\s+di\s+costruzione)?|Mfg\.?\s*(?:Year|Date))\s*[:.]?\s*((?:19|20)\d{2})\b/i;
+
+    // Within one atmosphere, a later group covers every earlier one
+    const GROUP_ORDER = {
+        gas: ['IIA', 'IIB', 'IIB+H2', 'IIC'],
+        dust: ['IIIA', 'IIIB', 'IIIC']
+    };
+
+    // Every certificate number on the plate (IECEx and ATEX often both)
+    function certNumbers(text) {
+        const found = new Map();
+        for (const part of text.split(/\n|;|,|\s\/\s|\s{3,}/)) {
+            const parts = ExParser.parseCertNumber(part);
+            if (parts && !found.has(parts.canonical)) found.set(parts.canonical, parts);
+        }
+        return [...found.values()];
+    }
+
+    /**
+     * The nameplate fields in parse() shape, plus `serial`, `year` (of
+     * manufacture), `model` and `certificates` (every certificate number
+     * on the plate, decomposed).
+     */
+    function parse(text) {
+        const r = ExParser.parse(text);
+        const serial = text.match(SERIAL_RE);
+        const year = text.match(YEAR_RE);
+        const variants = Array.isArray(r.equipment) ? r.equipment : [];
+        return {
+            certNumber: r.certNumber,
+            certParts: r.certParts,
+            certificates: certNumbers(text),
+            marking: r.marking,
+            markings: r.markings,
+            gas: r.gas,
+            dust: r.dust,
+            ambientTemp: r.ambientTemp,
+            ipRating: r.ipRating,
+            manufacturer: r.manufacturer,
+            model: variants.length === 1 ? variants[0].model : null,
+            serial: serial ? serial[1] : null,
+            year: year ? year[1] : null,
+            evidence: r.evidence,
+            raw: text
+        };
+    }
+
+    /**
+     * The register entry for the plate: the issue its certificate number
+     * names, else the current issue of that certificate. Returns
+     * { certificate, certNumber } or null.
+     */
+    function findCertificate(plate, results) {
+        const lineages = ExLineage.group(results);
+        for (const parts of plate.certificates) {
+            const key = ExLineage.lineageKey({ certParts: parts });
+            const lineage = lineages.find(l => l.key === key);
+            if (!lineage) continue;
+            const issue = parts.issue && lineage.issues.find(r => ExLineage.issueNumber(r) === parseInt(parts.issue));
+            return { certificate: issue || lineage.issues[lineage.issues.length - 1], certNumber: parts.canonical };
+        }
+        return null;
+    }
+
+    function normalizeMarking(text) {
+        return String(text || '').replace(/\s+/g, ' ').replace(/\s*°\s*C/g, '°C').trim().toLowerCase();
+    }
+
+    function tempLimit(rating) {
+        return rating.tempClass ? parseInt(ExParser.TEMP_CLASS_INFO[rating.tempClass]) : rating.maxSurfaceTemp;
+    }
+
+    function checkMarking(plateMarking, source) {
+        const label = `Marking ${plateMarking.text}`;
+        const given = source.markings.map(m => typeof m === 'string' ? ExParser.parseMarking(m) : m).filter(Boolean);
+        if (given.some(m => normalizeMarking(m.text) === normalizeMarking(plateMarking.text))) {
+            return { id: 'marking', label, pass: true, reason: 'The certificate gives this marking' };
+        }
+        // Compare with the certificate's markings for the same atmosphere
+        const same = given.filter(m => m.atmosphere === plateMarking.atmosphere);
+        return {
+            id: 'marking', label, pass: false,
+            reason: given.length
+                ? `Differs from the certificate: ${(same.length ? same : given).map(m => m.text).join('; ')}`
+                : 'The certificate has no marking to compare'
+        };
+    }
+
+    function checkGroup(plate, cert, atmosphere) {
+        const label = 'Group';
+        if (!plate.group) return { id: 'group', label, pass: null, reason: 'No group read from the nameplate' };
+        if (!cert.group) return { id: 'group', label, pass: null, reason: 'No group on the certificate' };
+        const order = GROUP_ORDER[atmosphere];
+        // Ungrouped "II" equipment covers every gas group
+        const pass = cert.group === 'II' && atmosphere === 'gas' ||
+            order.includes(plate.group) && order.indexOf(cert.group) >= order.indexOf(plate.group);
+        return {
+            id: 'group', label, pass,
+            reason: pass
+                ? `Nameplate ${plate.group} is covered by the certificate's ${cert.group}`
+                : `Nameplate ${plate.group} is not covered by the certificate's ${cert.group}`
+        };
+    }
+
+    // A rating table row counts too: the plate may state the class for its ambient
+    function checkTemperature(plate, cert, rows, atmosphere) {
+        const label = 'Temperature class';
+        const limit = tempLimit(plate);
+        const plateText = plate.tempClass || `T${plate.maxSurfaceTemp}°C`;
+        if (!limit) return { id: 'temp', label, pass: null, reason: 'No temperature class read from the nameplate' };
+        const certLimit = tempLimit(cert);
+        if (!certLimit) return { id: 'temp', label, pass: null, reason: 'No temperature class on the certificate' };
+        const certText = cert.tempClass || `T${cert.maxSurfaceTemp}°C`;
+        if (certLimit <= limit) {
+            return { id: 'temp', label, pass: true, reason: `Nameplate ${plateText} is covered by the certificate's ${certText}` };
+        }
+        // Gas rows carry a T-class, dust rows only a surface temperature
+        const row = (rows || []).filter(r => (atmosphere === 'gas') === !!r.tempClass).find(r => r.maxSurfaceTemp <= limit);
+        if (row) {
+            return {
+                id: 'temp', label, pass: true,
+                reason: `Nameplate ${plateText} is covered by the certificate's rating table up to +${row.ambientMax}°C ambient${row.condition ? ' (' + row.condition + ')' : ''}`
+            };
+        }
+        return { id: 'temp', label, pass: false, reason: `Nameplate ${plateText} is hotter-rated than the certificate covers (${certText})` };
+    }
+
+    // Level letter of an EPL, the less protective one of a split "Ga/Gb";
+    // a is the best
+    function worstLevel(epl) {
+        return epl.split('/').map(e => e.slice(-1)).sort().pop();
+    }
+
+    // A split EPL only certifies the boundary, so "Ga/Gb" covers Gb, not Ga
+    function checkEpl(plate, cert) {
+        const label = 'EPL';
+        if (!plate.epl) return { id: 'epl', label, pass: null, reason: 'No EPL read from the nameplate' };
+        if (!cert.epl) return { id: 'epl', label, pass: null, reason: 'No EPL on the certificate' };
+        const pass = plate.epl[0] === cert.epl[0] && worstLevel(plate.epl) >= worstLevel(cert.epl);
+        return {
+            id: 'epl', label, pass,
+            reason: pass
+                ? `Nameplate ${plate.epl} is covered by the certificate's ${cert.epl}`
+                : `Nameplate ${plate.epl} claims more than the certificate's ${cert.epl}`
+        };
+    }
+
+    function checkProtection(plate, cert) {
+        const label = 'Protection types';
+        const codes = plate.protection || [];
+        if (!codes.length) return { id: 'protection', label, pass: null, reason: 'No protection types read from the nameplate' };
+        const extra = codes.filter(c => !(cert.protection || []).includes(c));
+        return {
+            id: 'protection', label, pass: !extra.length,
+            reason: extra.length
+                ? `Not on the certificate: ${extra.map(c => 'Ex ' + c).join(', ')}`
+                : `${codes.map(c => 'Ex ' + c).join(', ')} on the certificate`
+        };
+    }
+
+    /**
+     * Compare a parsed nameplate with the register (results in parse()
+     * shape, corrections applied). Returns { pass, certificate, model,
+     * checks[] }; pass is null when nothing failed but some check could
+     * not be made.
+     */
+    function crossCheck(plate, results) {
+        const checks = [];
+        const found = findCertificate(plate, results);
+        if (!plate.certificates.length) {
+            checks.push({ id: 'certificate', label: 'Certificate', pass: null, reason: 'No certificate number read from the nameplate' });
+        } else if (!found) {
+            checks.push({
+                id: 'certificate', label: 'Certificate', pass: false,
+                reason: `${plate.certificates.map(p => p.canonical).join(', ')} not found in the register`
+            });
+        } else {
+            checks.push({ id: 'certificate', label: 'Certificate', pass: true, reason: `${found.certNumber} found: ${found.certificate.certNumber}` });
+        }
+
+        const cert = found && found.certificate;
+        // A model on the plate picks its row of the equipment schedule
+        const variants = cert && Array.isArray(cert.equipment) ? cert.equipment : [];
+        const variant = plate.model && variants.find(v => v.model.toUpperCase() === plate.model.toUpperCase());
+        if (cert) {
+            const source = variant || cert;
+            if (!plate.markings.length) {
+                checks.push({ id: 'marking', label: 'Marking', pass: null, reason: 'No Ex marking read from the nameplate' });
+            }
+            for (const m of plate.markings) checks.push(checkMarking(m, source));
+            for (const atmosphere of ['gas', 'dust']) {
+                const rating = plate[atmosphere];
+                if (!rating) continue;
+                const certified = source[atmosphere];
+                if (!certified) {
+                    checks.push({ id: atmosphere, label: `${atmosphere === 'gas' ? 'Gas' : 'Dust'} rating`, pass: false, reason: `The certificate has no ${atmosphere} marking` });
+                    continue;
+                }
+                checks.push(
+                    checkGroup(rating, certified, atmosphere),
+                    checkTemperature(rating, certified, variant ? null : cert.tempRatings, atmosphere),
+                    checkEpl(rating, certified),
+                    checkProtection(rating, certified)
+                );
+            }
+        }
+
+        const failed = checks.some(c => c.pass === false);
+        const unknown = checks.some(c => c.pass === null);
+        return {
+            pass: failed ? false : unknown ? null : true,
+            certificate: cert || null,
+            model: variant ? variant.model : null,
+            checks
+        };
+    }
+
+    return { parse, findCertificate, crossCheck };
+})(
+    typeof ExParser !== 'undefined' ? ExParser : require('./parser.js'),
+    typeof ExLineage !== 'undefined' ? ExLineage : require('./lineage.js')
+);
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExNameplate;
@@ -1,6 +1,6 @@
 /**
  * Ex Certificate Parser
- * Extracts structured data from IECEx, ATEX, and UKCA certificate PDFs.
+ * Extracts structured data from IECEx, ATEX, and UKEX (UKCA) certificate PDFs.
  * Runs entirely client-side — no data leaves the browser.
  */
 
@@ -37,6 +37,7 @@ const ExParser = (() => {
         'IIC': 'Hydrogen, acetylene (most stringent)',
         'IIB': 'Ethylene',
         'IIA': 'Propane (least stringent)',
+        'IIB+H2': 'Ethylene and hydrogen',
         'I': 'Mining (methane)',
         'IIIA': 'Combustible flyings',
         'IIIB': 'Non-conductive dust',
@@ -48,66 +49,325 @@ const ExParser = (() => {
         'T4': '135°C', 'T5': '100°C', 'T6': '85°C'
     };
 
+    // Highest-risk zone each EPL may be installed in
+    const EPL_ZONE_MAP = { 'Ga':'0','Gb':'1','Gc':'2','Da':'20','Db':'21','Dc':'22','Ma':'M1','Mb':'M2' };
+
     const VALID_PROT_CODES = new Set([
         'd','da','db','dc','e','ea','eb','ec','i','ia','ib','ic',
         'p','pa','pb','pc','px','py','pz','o','ob','oc','q','qa','qb',
         'n','na','nc','nr','nl','m','ma','mb','mc',
-        't','ta','tb','tc','s','h','op'
+        't','ta','tb','tc','s','h','op',
+        'pxb','pyb','pzc','sa','sb','sc'
     ]);
 
+    // Finds marking candidates in free text; parseMarking() decodes them
+    const PROT_CODE_SRC = [...VALID_PROT_CODES]
+        .sort((a, b) => b.length - a.length)
+        .map(c => c === 'op' ? 'op(?:\\s+(?:is|pr|sh))?' : c)
+        .join('|');
+    const MARKING_RE = new RegExp(
+        '(?:\\bClass\\s+I{1,3}\\s*,?\\s*)?(?:\\bZone\\s+\\d{1,2}\\s*,?\\s*(?=A?Ex\\s))?' +
+        '\\b(?:AEx|Ex)\\s+' +
+        '(?:(?:\\[(?:Ex\\s+)?(?:' + PROT_CODE_SRC + ')(?:\\s+(?:' + PROT_CODE_SRC + '))*(?:\\s+[GDM][abc])?\\]|(?:' + PROT_CODE_SRC + '))\\s+)+' +
+        'I{1,3}[ABC]?(?:\\s*\\+\\s*H2)?' +
+        '(?:\\s+T(?:[1-6](?:\\s*(?:…|\\.{2,3}|–|-|\\/)\\s*T[1-6])*|\\s*\\d{2,3}\\s*°\\s*C))?' +
+        '(?:\\s+T\\s*\\d{1,3}\\s+\\d{2,3}\\s*°\\s*C)?' +
+        '(?:\\s+[GDM][abc](?:\\/[GDM][abc])?)?(?![\\w°])',
+        'gi'
+    );
+
+    function protectionInfo(code) {
+        const cl = code.toLowerCase().replace(/\s+/g, ' ');
+        const base = cl.startsWith('op') ? 'op' : cl[0];
+        const suffix = cl.slice(base.length).trim();
+        const level = base !== 'n' && base !== 'op' && /[abc]$/.test(suffix) ? suffix.slice(-1) : null;
+        return {
+            code: code.replace(/\s+/g, ' '),
+            baseType: base,
+            level: level,
+            description: PROTECTION_TYPES[base] || 'Unknown'
+        };
+    }
+
+    function expandTempClasses(from, to) {
+        const lo = Math.min(from, to), hi = Math.max(from, to);
+        const classes = [];
+        for (let n = hi; n >= lo; n--) classes.push('T' + n);
+        return classes;
+    }
+
+    /**
+     * Decode one Ex marking string, e.g. "Ex db [ia Ga] IIC T6…T4 Gb", or a
+     * US NEC 505/506 one such as "Class I Zone 1 AEx db IIC T4 Gb".
+     * Returns null when the string has no protection concept and no group.
+     *
+     * tempClass is the worst case (hottest) class of a range; maxSurfaceTemp
+     * is in °C, from the class or from an absolute rating such as T135°C.
+     * dustLayer holds a layer rating (thickness in mm, temperature in °C).
+     * prefix is "Ex" or the US "AEx"; area holds a NEC class and zone
+     * written in front of the marking.
+     */
+    function parseMarking(str) {
+        if (!str) return null;
+        const text = String(str)
+            .replace(/\s+/g, ' ')
+            .replace(/\s*\+\s*H2\b/gi, '+H2')
+            .replace(/(\d)\s*°\s*C\b/g, '$1°C')
+            .replace(/\bT\s+(\d{2,3}°C)/gi, 'T$1')
+            .replace(/\b(T[1-6])\s*(?:…|\.{2,3}|–|-)\s*(?=T[1-6]\b)/gi, '$1…')
+            .trim();
+        const found = text.match(/^(?:Class\s+(I{1,3})\s*,?\s*)?(?:Zone\s+(\d{1,2})\s*,?\s*)?(A?Ex)\s+(.*)$/i);
+        if (!found) return null;
+
+        const marking = {
+            text: text,
+            prefix: /^AEx$/i.test(found[3]) ? 'AEx' : 'Ex',
+            area: found[2] ? { class: found[1] ? found[1].toUpperCase() : null, zone: found[2] } : null,
+            protection: [],
+            associated: [],
+            group: null,
+            groupInfo: null,
+            atmosphere: null,
+            tempClass: null,
+            tempClasses: [],
+            maxSurfaceTemp: null,
+            dustLayer: null,
+            epl: null
+        };
+
+        const tokens = found[4].match(/\[[^\]]*\]|\S+/g) || [];
+        for (let i = 0; i < tokens.length; i++) {
+            const tok = tokens[i];
+            const lower = tok.toLowerCase();
+
+            // Associated apparatus: [ia Ga], [Ex ib], [ia]
+            if (tok.startsWith('[')) {
+                const inner = tok.slice(1, -1).replace(/^Ex\s+/i, '').split(/\s+/);
+                const epl = inner.find(p => /^[GDM][abc]$/.test(p)) || null;
+                inner.filter(p => VALID_PROT_CODES.has(p.toLowerCase()))
+                    .forEach(p => marking.associated.push({ ...protectionInfo(p), epl }));
+                continue;
+            }
+
+            // Groups are upper case; "I" must not be read as protection "i"
+            const grp = tok.match(/^(I{1,3}[ABC]?)(\+H2)?$/);
+            if (grp && !marking.group) {
+                const g = grp[1];
+                marking.group = g + (grp[2] ? '+H2' : '');
+                marking.groupInfo = GAS_GROUP_INFO[marking.group] || GAS_GROUP_INFO[g] || null;
+                marking.atmosphere = g === 'I' ? 'mining' : g.startsWith('III') ? 'dust' : 'gas';
+                continue;
+            }
+
+            if (!marking.group && VALID_PROT_CODES.has(lower)) {
+                const qualifier = lower === 'op' && /^(is|pr|sh)$/i.test(tokens[i + 1] || '') ? tokens[++i] : null;
+                marking.protection.push(protectionInfo(qualifier ? tok + ' ' + qualifier : tok));
+                continue;
+            }
+
+            // Dust layer rating: T500 320°C = 320 °C under a 500 mm layer
+            const layer = tok.match(/^T(\d{1,3})$/i);
+            const layerTemp = (tokens[i + 1] || '').match(/^(\d{2,3})°C$/);
+            if (layer && layerTemp) {
+                marking.dustLayer = { thickness: parseInt(layer[1]), maxSurfaceTemp: parseInt(layerTemp[1]) };
+                i++;
+                continue;
+            }
+
+            const abs = tok.match(/^T(\d{2,3})°C$/i);
+            if (abs) {
+                marking.maxSurfaceTemp = parseInt(abs[1]);
+                continue;
+            }
+
+            const cls = tok.match(/^T([1-6])(?:[…/]T([1-6]))*$/i);
+            if (cls) {
+                const nums = tok.match(/[1-6]/g).map(Number);
+                marking.tempClasses = expandTempClasses(Math.max(...nums), Math.min(...nums));
+                marking.tempClass = 'T' + Math.min(...nums);
+                marking.maxSurfaceTemp = parseInt(TEMP_CLASS_INFO[marking.tempClass]);
+                continue;
+            }
+
+            if (/^[GDM][abc](?:\/[GDM][abc])?$/.test(tok)) {
+                marking.epl = tok;
+            }
+        }
+
+        if (!marking.protection.length && !marking.associated.length && !marking.group) return null;
+        return marking;
+    }
+
+    // Separators as in RATING_RANGE_RE: "to", "bis", "à", "a", "til" or a dash
+    function matchAmbient(str) {
+        return str.match(/(-\d+)\s*°?\s*C?\s*(to|bis|à|a|til|\.{2,3}|–|—|-)\s*\+?\s*(\d+)\s*°?\s*C/i);
+    }
+
+    function findAmbient(str) {
+        const m = matchAmbient(str);
+        return m ? `${m[1]}°C to +${m[3]}°C` : null;
+    }
+
+    // Later entries in a pattern list are the looser fallbacks
+    function patternConfidence(index) {
+        return Math.max(0.5, 0.9 - index * 0.05);
+    }
+
+    // Model codes contain a digit: "XYZ-200", "8265/11-A", "GHG 511" is not one
+    const MODEL_CODE = '[A-Z][A-Za-z0-9]*(?:[-./][A-Za-z0-9]+)*';
+    const MODEL_LABEL_RE = new RegExp('\\b(?:Model|Type|Variant)(?:\\s+(?:No\\.?|number|designation|code))?\\s*[:\\-]?\\s+(' + MODEL_CODE + ')', 'i');
+    const MODEL_CELL_RE = new RegExp('^(' + MODEL_CODE + ')(?:\\t|\\s{2,}|\\s*:\\s)');
+
+    // Section headings that end a variant's block
+    const SECTION_END_RE = /^\s*(?:\d+(?:\.\d+)*\.?\s+)?(?:Special\s+conditions|Conditions\s+of|Standards?\b|Routine\s+tests|Test\s+reports?|Essential\s+Health)/i;
+
+    function isModelCode(code) {
+        return code.length >= 3 && /\d/.test(code) && !/^(?:T\d|IECEx|Ex$)/i.test(code) && !/ATEX/i.test(code);
+    }
+
+    /**
+     * Split an equipment schedule into model variants. A variant starts at a
+     * "Model/Type ..." label or at a table row whose first cell is a model
+     * code, and collects the markings and ambient range that follow it.
+     */
+    function parseSchedule(text) {
+        const variants = [];
+        let current = null;
+
+        for (const line of text.split('\n')) {
+            const markings = (line.match(MARKING_RE) || []).map(parseMarking).filter(Boolean);
+            const ambient = findAmbient(line);
+            const label = line.match(MODEL_LABEL_RE);
+            const cell = line.match(MODEL_CELL_RE);
+            const model = label && isModelCode(label[1]) ? label[1]
+                : cell && isModelCode(cell[1]) && (markings.length || ambient) ? cell[1]
+                : null;
+
+            if (SECTION_END_RE.test(line)) current = null;
+            if (model) {
+                current = variants.find(v => v.model === model);
+                if (!current) {
+                    current = { model, markings: [], ambientTemp: null };
+                    variants.push(current);
+                }
+            }
+            if (!current) continue;
+            for (const m of markings) {
+                if (!current.markings.some(x => x.text === m.text)) current.markings.push(m);
+            }
+            if (ambient && !current.ambientTemp) current.ambientTemp = ambient;
+        }
+
+        return variants
+            .filter(v => v.markings.length || v.ambientTemp)
+            .map(v => ({
+                model: v.model,
+                markings: v.markings.map(m => m.text),
+                ambientTemp: v.ambientTemp,
+                gas: rating(v.markings.find(m => m.atmosphere === 'gas')),
+                dust: rating(v.markings.find(m => m.atmosphere === 'dust'))
+            }));
+    }
+
+    // The gas or dust part of a result, taken from one decoded marking
+    function rating(m) {
+        if (!m) return null;
+        const base = {
+            marking: m.text,
+            protection: m.protection.map(p => p.code),
+            group: m.group,
+            groupInfo: m.groupInfo,
+            maxSurfaceTemp: m.maxSurfaceTemp,
+            epl: m.epl
+        };
+        return m.atmosphere === 'dust'
+            ? { ...base, dustLayer: m.dustLayer }
+            : { ...base, tempClass: m.tempClass, tempClasses: m.tempClasses };
+    }
+
+    // How complete a decoded marking is; used to pick the primary marking
+    function markingScore(m) {
+        return (m.protection.length ? 1 : 0) + (m.group ? 1 : 0) +
+            (m.tempClass || m.maxSurfaceTemp ? 1 : 0) + (m.epl ? 1 : 0);
+    }
+
     function parse(text) {
         const result = {
             certNumber: null,
+            certParts: null,
             certType: null,
             marking: null,
             markings: [],
-            protectionTypes: [],
-            gasGroup: null,
-            gasGroupInfo: null,
-            tempClass: null,
-            tempClassMax: null,
-            epl: null,
+            gas: null,
+            dust: null,
             zone: null,
             ipRating: null,
             ambientTemp: null,
             manufacturer: null,
-            equipment: null,
+            product: null,
+            equipment: [],
             notifiedBody: null,
+            nbNumber: null,
             issueDate: null,
+            issueDateText: null,
             expiryDate: null,
+            expiryDateText: null,
             specialConditions: null,
+            conditions: [],
             standard: null,
             category: null,
             group: null,
+            directive: null,
+            divisions: [],
+            language: null,
+            languages: [],
+            entity: [],
+            tempRatings: [],
+            profile: null,
+            evidence: {},
             raw: text
         };
 
         const t = text;
 
-        // --- Certificate Number ---
-
-        // IECEx: IECEx XXX 12.0001X or IECEx XXX 12.0001X/1.0
-        const iecex = t.match(/IECEx\s+[A-Z]{2,5}\s+\d{2}\.\d{3,5}[A-Z]?(?:\/\d+\.\d+)?/i);
-        if (iecex) {
-            result.certNumber = iecex[0].replace(/\s+/g, ' ').trim();
-            result.certType = 'IECEx';
+        // Where a field's value came from: character span in the text,
+        // the pattern that matched and how much that pattern is trusted
+        function cite(field, m, pattern, conf, value = m[1] !== undefined ? m[1] : m[0]) {
+            const offset = Math.max(0, m[0].indexOf(value));
+            result.evidence[field] = {
+                start: m.index + offset,
+                end: m.index + offset + value.length,
+                pattern: pattern instanceof RegExp ? pattern.source : pattern,
+                confidence: conf
+            };
         }
 
-        // ATEX: TRAC13ATEX0009X, FIDI 24 ATEX 0075X/1, BASEEFA15ATEX0123X
-        if (!result.certNumber) {
-            const atex = t.match(/[A-Z]{2,10}\s*\d{2}\s*ATEX\s*\d{3,5}\s*[XU]?(?:\s*\/\s*V?\d[\w]*)?/i);
-            if (atex) {
-                result.certNumber = atex[0].replace(/\s+/g, '').trim();
-                result.certType = 'ATEX';
-            }
+        // --- Language ---
+        // Labels of the detected languages are tried alongside the English
+        // ones, and ahead of them when English is not the main language
+        result.languages = detectLanguages(t);
+        result.language = result.languages[0];
+
+        // --- Certificate Number ---
+        // IECEx, then ATEX, UKEX and North American; decomposed and normalised
+        for (const entry of CERT_NUMBER_PATTERNS) {
+            const m = t.match(entry.re);
+            if (!m) continue;
+            result.certParts = certParts(m, entry);
+            result.certNumber = result.certParts.canonical;
+            result.certType = result.certParts.scheme;
+            cite('certNumber', m, entry.re, entry.confidence, m[0]);
+            break;
         }
 
-        // UKCA
-        if (!result.certNumber) {
-            const ukca = t.match(/UKCA\s+[A-Z0-9\-.\/]+/i);
-            if (ukca) {
-                result.certNumber = ukca[0].trim();
-                result.certType = 'UKCA';
+        // IECEx numbers often carry the issue separately: "Issue No: 3".
+        // The label is required, or "Date of Issue: 15 March" reads as issue 15
+        if (result.certParts && result.certParts.scheme === 'IECEx' && !result.certParts.issue) {
+            const issueMatch = t.match(/\bIssue\s*(?:No\.?|Number)\s*:?\s*(\d{1,2})\b(?![.\/-]\d)/i);
+            if (issueMatch) {
+                result.certParts.issue = issueMatch[1];
+                result.certParts.canonical = result.certParts.base + '/' + issueMatch[1];
+                result.certNumber = result.certParts.canonical;
             }
         }
 
@@ -117,231 +377,1163 @@ const ExParser = (() => {
             if (atexAlso) result.certType = 'IECEx + ATEX';
         }
 
-        // --- Full Ex Marking ---
-        // Collect ALL markings; prefer most complete
-        const markingPatterns = [
-            // Full with temp+EPL: Ex db IIC T4 Gb, Ex db ib [ib] IIB T4 Gb
-            /\bEx\s+(?:[deimopqstnabrh]{1,4}\s+)+(?:\[[a-z]{1,4}\]\s+)?I{1,3}[ABC]*(?:\+H2)?\s+T[1-6](?:\/T[1-6])*\s*[GDM][abc](?:\/[GDM][abc])*/gi,
-            // Mining: Ex ia I Ma
-            /\bEx\s+(?:[deimopqstnabrh]{1,4}\s+)+I\s+M[ab]/gi,
-            // Dust with absolute temp: Ex tb IIIC T135°C Db
-            /\bEx\s+(?:[deimopqstnabrh]{1,4}\s+)+I{2,3}[ABC]*\s+T\d+°?\s*C\s*[GDM][abc]/gi,
-            // With temp class, no EPL
-            /\bEx\s+(?:[deimopqstnabrh]{1,4}\s+)+(?:\[[a-z]{1,4}\]\s+)?I{1,3}[ABC]*(?:\+H2)?\s+T[1-6](?:\/T[1-6])*/gi,
-            // Minimal: Ex [types] [group]
-            /\bEx\s+(?:[deimopqstnabrh]{1,4}\s+)+I{1,3}[ABC]*/gi,
-        ];
-
-        const allMarkings = [];
-        const seenMarkings = new Set();
-        for (const pat of markingPatterns) {
-            const matches = t.match(pat);
-            if (matches) {
-                for (const m of matches) {
-                    const cleaned = m.trim().replace(/\s+/g, ' ');
-                    if (!seenMarkings.has(cleaned)) {
-                        seenMarkings.add(cleaned);
-                        allMarkings.push(cleaned);
-                    }
-                }
-            }
-        }
-
-        if (allMarkings.length > 0) {
-            // Primary = longest (most complete)
-            allMarkings.sort((a, b) => b.length - a.length);
-            result.marking = allMarkings[0];
-            result.markings = allMarkings;
-        }
+        // --- Issuer Profile ---
+        // The issuer's own labels are tried first, then those of the
+        // detected languages and English (the language's first when it is
+        // not English)
+        const profile = detectProfile(t, result.certParts);
+        result.profile = profile ? profile.id : null;
+        const localized = (field, value, english) => {
+            const issuer = profile ? profilePatterns(profile, field, value) : [];
+            const own = labelPatterns(field, result.languages, value);
+            return [...issuer, ...(result.language === 'en' ? [...english, ...own] : [...own, ...english])];
+        };
 
-        // --- Protection Types ---
-        const markingSrc = result.marking || '';
-        const protMatch = markingSrc.match(/^Ex\s+(.*?)(?:\[.*?\]\s*)?(?=I{1,3})/i);
-        if (protMatch) {
-            const raw = protMatch[1].trim();
-            const codes = raw.split(/\s+/).filter(c => {
-                const cl = c.toLowerCase();
-                return VALID_PROT_CODES.has(cl) || VALID_PROT_CODES.has(cl.replace(/[abc]$/, ''));
-            });
-            result.protectionTypes = codes.map(code => {
-                const cl = code.toLowerCase();
-                const baseCode = cl.replace(/[abcrs]$/, '');
-                const level = cl.match(/[abc]$/)?.[0] || null;
-                return {
-                    code: code,
-                    baseType: baseCode,
-                    level: level,
-                    description: PROTECTION_TYPES[baseCode] || PROTECTION_TYPES[cl] || 'Unknown'
-                };
-            });
+        // --- Ex Markings ---
+        // Every marking in the text, decoded; the most complete one first
+        const markingMatches = new Map();
+        for (const m of t.matchAll(MARKING_RE)) {
+            const marking = parseMarking(m[0]);
+            if (!marking || markingMatches.has(marking.text)) continue;
+            markingMatches.set(marking.text, m);
+            result.markings.push(marking);
         }
+        const citeMarking = (field, marking) => {
+            if (marking) cite(field, markingMatches.get(marking.text), 'Ex marking', markingScore(marking) / 4);
+        };
 
-        // --- Gas Group ---
-        const gasFromMarking = markingSrc.match(/\b(III[ABC]|II[ABC](?:\+H2)?)\b/);
-        const gasFromText = t.match(/\b(III[ABC]|II[ABC](?:\+H2)?|Group\s+I(?:I[ABC]?)?)\b/);
-        const gasMatch = gasFromMarking || gasFromText;
-        if (gasMatch) {
-            let group = gasMatch[1].replace(/^Group\s+/i, '');
-            result.gasGroup = group;
-            result.gasGroupInfo = GAS_GROUP_INFO[group] || null;
+        // Equally complete markings keep their order in the text, so the
+        // gas marking of a combined gas/dust certificate stays the primary
+        if (result.markings.length > 0) {
+            result.markings.sort((a, b) => markingScore(b) - markingScore(a));
+            result.marking = result.markings[0].text;
+            citeMarking('marking', result.markings[0]);
         }
+        const primary = result.markings[0] || {};
 
-        // --- Temperature Class ---
-        const tempFromMarking = markingSrc.match(/\bT([1-6])\b/);
-        const tempFromText = t.match(/\bT([1-6])\b/);
-        const tempMatch = tempFromMarking || tempFromText;
-        if (tempMatch) {
-            result.tempClass = 'T' + tempMatch[1];
-            result.tempClassMax = TEMP_CLASS_INFO['T' + tempMatch[1]] || null;
-        }
+        // --- Gas / Dust Ratings ---
+        // Combined certificates carry one marking per atmosphere
+        const gasMarking = result.markings.find(m => m.atmosphere === 'gas');
+        const dustMarking = result.markings.find(m => m.atmosphere === 'dust');
+        result.gas = rating(gasMarking);
+        result.dust = rating(dustMarking);
+        citeMarking('gas', gasMarking);
+        citeMarking('dust', dustMarking);
 
-        // --- Equipment Protection Level ---
-        const eplFromMarking = markingSrc.match(/\b([GDM][abc])\b/);
-        const eplFromText = t.match(/\b([GDM][abc])\b/);
-        const eplMatch = eplFromMarking || eplFromText;
-        if (eplMatch) {
-            result.epl = eplMatch[1];
-        }
+        // --- NEC / CEC Class and Division ---
+        const divisionMatches = [...t.matchAll(CLASS_DIVISION_RE)];
+        result.divisions = divisionMatches.map(m => parseClassDivision(m[0]))
+            .filter((d, i, all) => all.findIndex(x => x.text === d.text) === i);
+        if (divisionMatches.length) cite('divisions', divisionMatches[0], CLASS_DIVISION_RE, 0.9, divisionMatches[0][0]);
 
         // --- Zone ---
-        const zoneMatch = t.match(/Zone\s+(\d{1,2})/i);
+        const zonePat = /Zone\s+(\d{1,2})/i;
+        const zoneMatch = t.match(zonePat);
         if (zoneMatch) {
             result.zone = 'Zone ' + zoneMatch[1];
-        } else if (result.epl) {
-            const eplZoneMap = { 'Ga':'0','Gb':'1','Gc':'2','Da':'20','Db':'21','Dc':'22','Ma':'M1','Mb':'M2' };
-            const derived = eplZoneMap[result.epl];
-            if (derived) result.zone = 'Zone ' + derived + ' (derived from EPL)';
+            cite('zone', zoneMatch, zonePat, 0.9, zoneMatch[0]);
+        } else {
+            const derived = [result.gas, result.dust, primary]
+                .map(r => r && r.epl && EPL_ZONE_MAP[r.epl.split('/')[0]])
+                .filter((z, i, all) => z && all.indexOf(z) === i);
+            if (derived.length) {
+                result.zone = derived.map(z => 'Zone ' + z).join(', ') + ' (derived from EPL)';
+                if (result.evidence.marking) result.evidence.zone = { ...result.evidence.marking, pattern: 'EPL → zone', confidence: 0.6 };
+            } else if (result.divisions.length) {
+                result.zone = result.divisions
+                    .flatMap(d => d.classes.map(c => `Class ${c}, Division ${d.division}`))
+                    .filter((z, i, all) => all.indexOf(z) === i)
+                    .join('; ');
+                result.evidence.zone = { ...result.evidence.divisions, pattern: 'Class/Division', confidence: 0.8 };
+            }
         }
 
+        // --- Intrinsic Safety Entity Parameters ---
+        result.entity = parseEntity(t);
+        const entityMatch = t.match(ENTITY_PARAM_RE);
+        if (result.entity.length && entityMatch) cite('entity', entityMatch, ENTITY_PARAM_RE, 0.85, entityMatch[0]);
+
         // --- IP Rating ---
-        const ipMatch = t.match(/\bIP\s*([0-9X]{2}[A-Z]?)\b/i);
+        const ipPat = /\bIP\s*([0-9X]{2}[A-Z]?)\b/i;
+        const ipMatch = t.match(ipPat);
         if (ipMatch) {
             result.ipRating = 'IP' + ipMatch[1];
+            cite('ipRating', ipMatch, ipPat, 0.85, ipMatch[0]);
         }
 
         // --- Ambient Temperature ---
-        const ambMatch = t.match(/(-\d+)\s*°?\s*C?\s*(to|\.{2,3}|–|—|-)\s*\+?(\d+)\s*°?\s*C/i);
+        const ambMatch = matchAmbient(t);
         if (ambMatch) {
-            result.ambientTemp = `${ambMatch[1]}°C to +${ambMatch[3]}°C`;
+            result.ambientTemp = findAmbient(ambMatch[0]);
+            cite('ambientTemp', ambMatch, 'ambient range', 0.7, ambMatch[0]);
+        }
+
+        // --- Temperature Rating Table ---
+        result.tempRatings = parseTempRatings(t);
+        if (result.tempRatings.length > 1) {
+            // The first range found is usually one row; the table spans them all
+            const envelope = ratingsEnvelope(result.tempRatings);
+            if (envelope) result.ambientTemp = envelope;
+            const first = result.tempRatings[0].text;
+            const index = t.indexOf(first);
+            if (index >= 0) cite('tempRatings', Object.assign([first], { index }), 'temperature rating table', 0.75, first);
         }
 
         // --- Manufacturer ---
-        const mfrPatterns = [
-            /Manufacturer[:\s]+([^\n]{3,80})/i,
-            /Applicant[:\s]+([^\n]{3,80})/i,
-            /Issued\s+to[:\s]+([^\n]{3,80})/i,
-            /Manufacturer[:\s]*\n\s*Address[:\s]*\n\s*([^\n]{3,80})/i,
-            /Manufacturer[:\s]*\n\s*([^\n]{3,80})/i,
-            /Applicant[:\s]*\n\s*([^\n]{3,80})/i,
-            /Issued\s+to[:\s]*\n\s*([^\n]{3,80})/i,
-        ];
-        for (const pat of mfrPatterns) {
+        const mfrPatterns = localized('manufacturer', '([^\\n\\t]{3,80})', [
+            /Manufacturer[:\s]+([^\n\t]{3,80})/i,
+            /Applicant[:\s]+([^\n\t]{3,80})/i,
+            /Issued\s+to[:\s]+([^\n\t]{3,80})/i,
+            /Manufacturer[:\s]*\n\s*Address[:\s]*\n\s*([^\n\t]{3,80})/i,
+            /Manufacturer[:\s]*\n\s*([^\n\t]{3,80})/i,
+            /Applicant[:\s]*\n\s*([^\n\t]{3,80})/i,
+            /Issued\s+to[:\s]*\n\s*([^\n\t]{3,80})/i,
+        ]);
+        for (const [i, pat] of mfrPatterns.entries()) {
             const m = t.match(pat);
             if (m) {
                 let val = m[1].trim().replace(/[,\s]+$/, '');
                 if (/^(Address|Name|Location|see\b|refer\b|as\s)/i.test(val)) continue;
                 if (val.length < 3) continue;
                 result.manufacturer = val;
+                cite('manufacturer', m, pat, patternConfidence(i), val);
                 break;
             }
         }
 
         // --- Equipment / Product Name ---
-        const eqPatterns = [
-            /Product[:\s]+([^\n]{3,120})/i,
-            /Product[:\s]*\n\s*([^\n]{3,120})/i,
-            /(?:Equipment|Apparatus)\s+or\s+Protective\s+System[:\s]+([^\n]{3,120})/i,
-            /Equipment[:\s]+(?!Group|or\s)([^\n]{3,120})/i,
-            /Apparatus[:\s]+([^\n]{3,120})/i,
-            /Type\s+of\s+Equipment[:\s]+([^\n]{3,120})/i,
-            /Equipment[:\s]*\n\s*(?!Group)([^\n]{3,120})/i,
-        ];
-        for (const pat of eqPatterns) {
+        const eqPatterns = localized('product', '([^\\n\\t]{3,120})', [
+            /Product[:\s]+([^\n\t]{3,120})/i,
+            /Product[:\s]*\n\s*([^\n\t]{3,120})/i,
+            /(?:Equipment|Apparatus)\s+or\s+Protective\s+System[:\s]+([^\n\t]{3,120})/i,
+            /Equipment[:\s]+(?!Group|or\s)([^\n\t]{3,120})/i,
+            /Apparatus[:\s]+([^\n\t]{3,120})/i,
+            /Type\s+of\s+Equipment[:\s]+([^\n\t]{3,120})/i,
+            /Equipment[:\s]*\n\s*(?!Group)([^\n\t]{3,120})/i,
+        ]);
+        for (const [i, pat] of eqPatterns.entries()) {
             const m = t.match(pat);
             if (m) {
                 let val = m[1].trim().replace(/[,\s]+$/, '');
                 if (/^(or\s+Protective|Intended\s+for|intended\s+for|listed\s+in|and\s+any|has\s+been|is\s+subject|shall\s+include|in$)/i.test(val)) continue;
                 if (val.length < 3) continue;
-                result.equipment = val;
+                result.product = val;
+                cite('product', m, pat, patternConfidence(i), val);
                 break;
             }
         }
 
+        // --- Equipment Schedule ---
+        // Product families list each model with its own marking and ratings
+        result.equipment = parseSchedule(t);
+
         // --- Notified Body ---
-        const sortedBodies = [...CERT_BODIES].sort((a, b) => b.length - a.length);
-        for (const body of sortedBodies) {
-            if (t.includes(body)) {
-                result.notifiedBody = body;
+        // The four-digit NB number names the body exactly; fall back to
+        // searching for known body names
+        for (const [i, pat] of NB_NUMBER_PATTERNS.entries()) {
+            const m = t.match(pat);
+            if (m) {
+                result.nbNumber = m[1];
+                cite('nbNumber', m, pat, patternConfidence(i));
+                if (NOTIFIED_BODIES[m[1]]) {
+                    result.notifiedBody = NOTIFIED_BODIES[m[1]];
+                    cite('notifiedBody', m, pat, patternConfidence(i));
+                }
                 break;
             }
         }
+        if (!result.notifiedBody) {
+            const sortedBodies = [...CERT_BODIES].sort((a, b) => b.length - a.length);
+            // Whole words only: "EXAM" is not in "EXAMINATION"
+            for (const body of sortedBodies) {
+                const m = t.match(new RegExp('(?<![A-Za-z0-9])' + body.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&') + '(?![A-Za-z0-9])'));
+                if (m) {
+                    result.notifiedBody = body;
+                    result.evidence.notifiedBody = { start: m.index, end: m.index + body.length, pattern: 'known body name', confidence: 0.5 };
+                    break;
+                }
+            }
+        }
 
         // --- Dates ---
-        const issuePats = [
-            /Date\s+of\s+Issue[:\s]*\n?\s*(\d{4}[-/]\d{2}[-/]\d{2})/i,
-            /Date\s+of\s+Issue[:\s]+(\d{1,2}[\s./-]\w{3,9}[\s./-]\d{4})/i,
-            /Issue\s*(?:d|Date)[:\s]+(\d{4}[-/]\d{2}[-/]\d{2})/i,
-            /Issue\s*(?:d|Date)[:\s]+(\d{1,2}[\s./-]\w{3,9}[\s./-]\d{4})/i,
-            /Issued[:\s]+(\d{1,2}[\s./-]\w{3,9}[\s./-]\d{4})/i,
-        ];
-        for (const pat of issuePats) {
+        // Stored as ISO dates; the certificate's own wording is kept alongside
+        const DATE = '(\\d{4}[-/.]\\d{1,2}[-/.]\\d{1,2}|\\d{1,2}[./-]\\d{1,2}[./-]\\d{4}|\\d{1,2}(?:st|nd|rd|th|er)?[\\s./-]+[A-Za-zÀ-ÿ]{3,10}\\.?[\\s./,-]+\\d{4}|[A-Za-zÀ-ÿ]{3,10}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4})';
+        const issuePats = localized('issueDate', DATE, [
+            new RegExp('Date\\s+of\\s+Issue[:\\s]*\\n?\\s*' + DATE, 'i'),
+            new RegExp('Issue\\s*(?:d|Date)[:\\s]+' + DATE, 'i'),
+            new RegExp('Issued(?:\\s+on)?[:\\s]+' + DATE, 'i'),
+        ]);
+        for (const [i, pat] of issuePats.entries()) {
             const m = t.match(pat);
-            if (m) { result.issueDate = m[1].trim(); break; }
+            if (m && parseDate(m[1])) {
+                result.issueDateText = m[1].trim();
+                result.issueDate = parseDate(m[1]);
+                cite('issueDate', m, pat, patternConfidence(i));
+                break;
+            }
         }
 
-        const expiryPats = [
-            /Expir[ey]\s*(?:Date)?[:\s]+(\d{4}[-/]\d{2}[-/]\d{2})/i,
-            /Expir[ey]\s*(?:Date)?[:\s]+(\d{1,2}[\s./-]\w{3,9}[\s./-]\d{4})/i,
-            /Valid\s+(?:until|to)[:\s]+(\d{4}[-/]\d{2}[-/]\d{2})/i,
-            /Valid\s+(?:until|to)[:\s]+(\d{1,2}[\s./-]\w{3,9}[\s./-]\d{4})/i,
-            /Validity[:\s]+(\d{1,2}[\s./-]\w{3,9}[\s./-]\d{4})/i,
-        ];
-        for (const pat of expiryPats) {
+        const expiryPats = localized('expiryDate', DATE, [
+            new RegExp('Expir[ey]\\s*(?:Date)?[:\\s]+' + DATE, 'i'),
+            new RegExp('Valid\\s+(?:until|to)[:\\s]+' + DATE, 'i'),
+            new RegExp('Validity[:\\s]+' + DATE, 'i'),
+        ]);
+        for (const [i, pat] of expiryPats.entries()) {
             const m = t.match(pat);
-            if (m) { result.expiryDate = m[1].trim(); break; }
+            if (m && parseDate(m[1])) {
+                result.expiryDateText = m[1].trim();
+                result.expiryDate = parseDate(m[1]);
+                cite('expiryDate', m, pat, patternConfidence(i));
+                break;
+            }
         }
 
         // --- Special Conditions ---
-        const specMatch = t.match(/Special\s+[Cc]onditions?\s*(?:for\s+(?:safe\s+)?use)?[:\s]+([\s\S]{10,500}?)(?=\n\s*\n|\n[A-Z]{2,}|\n\d+\.\s|$)/i);
-        if (specMatch) {
-            result.specialConditions = specMatch[1].trim().substring(0, 500);
+        // The label and what follows; conditionsSection() finds where the list
+        // ends, at the issuer's own section boundaries where it has them
+        const SPEC_TAIL = '[:\\s]+([\\s\\S]{10,4000})';
+        const specPats = [/Special\s+[Cc]onditions?\s*(?:for\s+(?:safe\s+)?use)?[:\s]+([\s\S]{10,4000})/i]
+            .concat(result.languages.flatMap(code => (LANGUAGES[code].labels.specialConditions || [])
+                .map(label => new RegExp(label + '(?:\\s*\\/[^:\\n]{0,60})?' + SPEC_TAIL, 'i'))));
+        if (result.language !== 'en') specPats.push(specPats.shift());
+        if (profile) specPats.unshift(...(profile.labels?.specialConditions || []).map(label => new RegExp(label + SPEC_TAIL, 'i')));
+        const specPat = specPats.find(pat => pat.test(t));
+        const specMatch = specPat && t.match(specPat);
+        const specEnds = (profile?.sections?.specialConditions?.end || []).map(re => new RegExp(re, 'i'));
+        const specText = specMatch && conditionsSection(specMatch[1], specEnds);
+        if (specText) {
+            result.specialConditions = specText;
+            result.conditions = splitConditions(specText);
+            cite('specialConditions', specMatch, specPat, 0.8, specText.split('\n')[0]);
         }
 
         // --- Standards ---
-        const stdMatches = t.match(/(?:EN\s+)?(?:IEC\s*)?60079-\d+(?::\d{4})?(?:\+A\d+:\d{4})*/gi);
-        if (stdMatches) {
-            result.standard = [...new Set(stdMatches.map(s => s.trim()))].join(', ');
+        const stdPat = /(?:EN\s+)?(?:IEC\s*)?60079-\d+(?::\d{4})?(?:\+A\d+:\d{4})*/gi;
+        const stdMatches = [...t.matchAll(stdPat)];
+        if (stdMatches.length) {
+            result.standard = [...new Set(stdMatches.map(m => m[0].trim()))].join(', ');
+            const first = stdMatches[0], last = stdMatches[stdMatches.length - 1];
+            result.evidence.standard = { start: first.index, end: last.index + last[0].length, pattern: stdPat.source, confidence: 0.9 };
+        }
+
+        // --- ATEX Directive Marking ---
+        // "II 2 GD", "II 1/2 G", "II (1) G", "I M2": group, category, atmosphere
+        const dirMatch = t.match(DIRECTIVE_RE);
+        // Cited without the trailing separators the pattern may take
+        const dirText = dirMatch && dirMatch[0].replace(/[\s\/]+$/, '');
+        if (dirMatch) {
+            result.directive = parseDirective(dirMatch[0]);
+            cite('directive', dirMatch, DIRECTIVE_RE, 0.9, dirText);
         }
 
         // --- ATEX Category ---
-        const catMatch = t.match(/\bII\s+([1-3])\s+[GDM]\b/) || t.match(/\bCategory\s+([1-3][GDM]?)\b/i);
-        if (catMatch) {
-            result.category = catMatch[1];
+        if (result.directive && result.directive.category) {
+            result.category = result.directive.category;
+            cite('category', dirMatch, DIRECTIVE_RE, 0.9, dirText);
+        } else {
+            const m = t.match(/\bCategory\s+(M?[1-3][GDM]?)\b/i);
+            if (m) {
+                result.category = m[1];
+                cite('category', m, /\bCategory\s+(M?[1-3][GDM]?)\b/i, patternConfidence(2), m[0]);
+            }
         }
 
         // --- Equipment Group ---
-        const grpMatch = t.match(/Equipment\s+[Gg]roup\s+(I{1,3})/);
+        const grpPat = /Equipment\s+[Gg]roup\s+(I{1,3})\b/;
+        const grpMatch = t.match(grpPat);
         if (grpMatch) {
             result.group = grpMatch[1];
-        } else {
-            const grpAlt = t.match(/\b(I{2,3})\s+[1-3]\s+[GDM]\b/);
-            if (grpAlt) result.group = grpAlt[1];
+            cite('group', grpMatch, grpPat, patternConfidence(0));
+        } else if (result.directive) {
+            result.group = result.directive.group;
+            cite('group', dirMatch, DIRECTIVE_RE, patternConfidence(3), dirText);
         }
 
         return result;
     }
 
+    // --- Intrinsic Safety Entity Parameters ---
+
+    // Ui = 30 V, Io = 93 mA, Ci = 5 nF, "L i: 10 µH" (subscripts often come
+    // out as a separate letter). Groups: letter, i/o, value, prefix, unit.
+    const ENTITY_PARAM_RE = /\b([UIPCL])\s?([io])\s*(?:=|:|≤|<=|<)?\s*(\d+(?:[.,]\d+)?)\s*([µμunmpk])?\s*(V|A|W|F|H)\b/g;
+    const ENTITY_ZERO_RE = /\b([CL])\s?([io])\s*(?:=|:|≈|~)?\s*(?:0\b|negligible|vernachlässigbar|négligeable|trascurabile|neglisjerbar)/gi;
+    const ENTITY_UNITS = { U: 'V', I: 'A', P: 'W', C: 'F', L: 'H' };
+    const UNIT_PREFIXES = { 'µ': 1e-6, 'μ': 1e-6, 'u': 1e-6, 'n': 1e-9, 'p': 1e-12, 'm': 1e-3, 'k': 1e3 };
+    // Starts a new circuit: "Terminals 1-2", "Supply circuit", "Klemmen 3/4"
+    const CIRCUIT_LABEL_RE = /^\s*((?:(?:Supply|Signal|Output|Input|Sensor|Power|Intrinsically\s+safe|Non-intrinsically\s+safe)\s+)?(?:circuits?|terminals?|connections?|channels?)\b[^:\n\t]{0,40}|Klemmen\b[^:\n\t]{0,30}|Bornes\b[^:\n\t]{0,30}|Morsetti\b[^:\n\t]{0,30})/i;
+
+    /**
+     * Entity parameters per circuit, in SI units (V, A, W, F, H):
+     *   [{ circuit, params: { Ui, Ii, Pi, Ci, Li, Uo, Io, Po, Co, Lo } }]
+     * `circuit` is the label the parameters follow, or null. A parameter
+     * seen again in the same circuit starts a new one.
+     */
+    function parseEntity(text) {
+        const circuits = [];
+        let current = null;
+        let label = null;
+
+        for (const line of text.split('\n')) {
+            const heading = line.match(CIRCUIT_LABEL_RE);
+            const found = [];
+            for (const m of line.matchAll(ENTITY_PARAM_RE)) {
+                if (ENTITY_UNITS[m[1]] !== m[5]) continue;
+                const value = +(parseFloat(m[3].replace(',', '.')) * (m[4] ? UNIT_PREFIXES[m[4]] : 1)).toPrecision(12);
+                found.push([m[1] + m[2], value]);
+            }
+            for (const m of line.matchAll(ENTITY_ZERO_RE)) found.push([m[1].toUpperCase() + m[2].toLowerCase(), 0]);
+
+            if (heading) {
+                label = heading[1].trim().replace(/[\s,;-]+$/, '');
+                current = null;
+            }
+            for (const [name, value] of found) {
+                if (!current || name in current.params) {
+                    current = { circuit: label, params: {} };
+                    circuits.push(current);
+                }
+                current.params[name] = value;
+            }
+        }
+        return circuits;
+    }
+
+    // --- Temperature Ratings ---
+
+    // "T6 … T4", or an absolute dust rating such as "T135 °C"
+    const RATING_CLASS_RE = /(?<![A-Za-z\d])T\s?(?:([1-6])(?![\d°])|(\d{2,3})\s*°\s*C)/g;
+    // "-40 °C to +55 °C", "-40 … +55 °C", "-40 °C ≤ Ta ≤ +55 °C"
+    const RATING_RANGE_RE = /([-−–]\s?\d+)\s*°?\s*C?\s*(?:to|bis|à|a|til|\.{2,3}|…|–|—|-|≤\s*T(?:a|amb)\s*≤|<\s*T(?:a|amb)\s*<)\s*\+?(\d+)\s*°?\s*C/i;
+    // "Ta ≤ +70 °C", "up to +55 °C", "max. 40 °C"
+    const RATING_MAX_RE = /(?:T(?:a|amb)\s*(?:≤|<=|<|=|:)|up\s+to|max(?:imum|\.)?|bis|jusqu'à)\s*\+?(\d+)\s*°?\s*C/i;
+    // What a row depends on besides the ambient
+    const RATING_CONDITION_RE = /(?:\bP(?:max|in)?\s*(?:≤|<=|=|:)\s*\d+(?:[.,]\d+)?\s*[mk]?W|\b(?:process|medium|fluid|media)\s+temp(?:erature)?\b[^\n|;]*?\d+\s*°?\s*C|\b\d+(?:[.,]\d+)?\s*[mk]?W\b)/i;
+
+    function ratingAmbient(str) {
+        const range = str.match(RATING_RANGE_RE);
+        if (range) return { min: parseInt(range[1].replace(/[−–\s]/g, '-').replace('--', '-')), max: parseInt(range[2]), index: range.index };
+        const max = str.match(RATING_MAX_RE);
+        if (max) return { min: null, max: parseInt(max[1]), index: max.index };
+        return null;
+    }
+
+    /**
+     * Temperature class per ambient range, from rating tables such as
+     *   T6  -40 °C … +40 °C
+     *   T5  up to +55 °C
+     *   T4  Ta ≤ +70 °C   (P ≤ 2 W)
+     * Returns [{ tempClass, maxSurfaceTemp, ambientMin, ambientMax, condition, text }],
+     * hottest ambient last. A row without a lower limit takes the table's.
+     * Lines holding an Ex marking belong to the schedule, not the table.
+     */
+    function parseTempRatings(text) {
+        const rows = [];
+        for (const line of text.split('\n')) {
+            if (line.match(MARKING_RE)) continue;
+            const classes = [...line.matchAll(RATING_CLASS_RE)];
+            classes.forEach((m, i) => {
+                const end = m.index + m[0].length;
+                const next = i + 1 < classes.length ? classes[i + 1].index : line.length;
+                // The ambient follows the class, or (on a one-class line) precedes it
+                let segment = line.slice(end, next);
+                let ambient = ratingAmbient(segment);
+                if (!ambient && classes.length === 1) {
+                    segment = line.slice(0, m.index);
+                    ambient = ratingAmbient(segment);
+                }
+                if (!ambient) return;
+                const tempClass = m[1] ? 'T' + m[1] : null;
+                const condition = (classes.length === 1 ? line : segment).match(RATING_CONDITION_RE);
+                rows.push({
+                    tempClass,
+                    maxSurfaceTemp: tempClass ? parseInt(TEMP_CLASS_INFO[tempClass]) : parseInt(m[2]),
+                    ambientMin: ambient.min,
+                    ambientMax: ambient.max,
+                    condition: condition ? condition[0].replace(/\s+/g, ' ').trim() : null,
+                    text: (classes.length === 1 ? line : m[0] + line.slice(end, next)).replace(/\s+/g, ' ').trim()
+                });
+            });
+        }
+
+        const seen = new Set();
+        const unique = rows.filter(r => {
+            const key = [r.tempClass, r.maxSurfaceTemp, r.ambientMin, r.ambientMax, r.condition].join('|');
+            return seen.has(key) ? false : seen.add(key);
+        });
+        const mins = unique.map(r => r.ambientMin).filter(v => v != null);
+        const low = mins.length ? Math.min(...mins) : null;
+        unique.forEach(r => { if (r.ambientMin == null) r.ambientMin = low; });
+        return unique.sort((a, b) => a.ambientMax - b.ambientMax || a.maxSurfaceTemp - b.maxSurfaceTemp);
+    }
+
+    // Widest ambient range the table covers, as "-40°C to +70°C"
+    function ratingsEnvelope(rows) {
+        const mins = rows.map(r => r.ambientMin).filter(v => v != null);
+        if (!mins.length) return null;
+        return `${Math.min(...mins)}°C to +${Math.max(...rows.map(r => r.ambientMax))}°C`;
+    }
+
+    /**
+     * The coolest rating valid at `ambient` °C, optionally only rows without
+     * a condition or with the given one. Null when no row covers it.
+     */
+    function tempRatingAt(rows, ambient, condition) {
+        return (rows || [])
+            .filter(r => condition === undefined || r.condition === condition)
+            .filter(r => (r.ambientMin == null || ambient >= r.ambientMin) && ambient <= r.ambientMax)
+            .sort((a, b) => a.maxSurfaceTemp - b.maxSurfaceTemp)[0] || null;
+    }
+
+    // --- Special Conditions ---
+
+    // "1.", "2)", "(3)" at the start of a condition
+    const CONDITION_NUMBER_RE = /^\(?(\d{1,2})[.)]\s/;
+    // A heading after the list: an all-capitals line or a short "Label:" line
+    const SECTION_HEADING_RE = /^(?:[A-Z][A-Z\s&/-]{3,}|[A-Z][^.:]{0,60}:)$/;
+
+    // Installer checklist categories of a condition
+    const CONDITION_CATEGORIES = {
+        earthing: {
+            label: 'Earthing / bonding',
+            re: /\b(?:earth(?:ed|ing)?|ground(?:ed|ing)?|bond(?:ed|ing)|equipotential|potential\s+equali[sz]ation|erdung|geerdet|potentialausgleich|mise\s+à\s+la\s+terre)\b/i
+        },
+        cableEntry: {
+            label: 'Cable entry / glands',
+            re: /\b(?:cable\s+entr(?:y|ies)|(?:cable\s+)?glands?|conduit|blanking\s+(?:elements?|plugs?)|stopping\s+plugs?|thread(?:ed)?\s+adapt[eo]rs?|entry\s+devices?|kabeleinführung\w*|presse-étoupes?)\b/i
+        },
+        ambient: {
+            label: 'Ambient limits',
+            re: /\b(?:ambient|T\s?a(?:mb)?\b|umgebungstemperatur|température\s+ambiante|temperatura\s+ambiente)/i
+        },
+        electrostatic: {
+            label: 'Electrostatic risk',
+            re: /\b(?:electrostatic|static\s+(?:charge|electricity)|charging|non-?conductive|damp\s+cloth|elektrostatisch\w*|électrostatique)/i
+        },
+        impact: {
+            label: 'Impact',
+            re: /\b(?:impacts?|mechanical\s+(?:damage|protection|danger|stress)|risk\s+of\s+damage|schlag\w*|chocs?)\b/i
+        },
+        maintenance: {
+            label: 'Maintenance',
+            re: /\b(?:maint(?:ain|enance)|repair(?:ed|s)?|inspect(?:ion|ed)?|clean(?:ing|ed)?|replace(?:d|ment)?|servic(?:e|ing)|do\s+not\s+open|opened|flame-?path|wartung|instandhaltung|entretien|manutenzione)\b/i
+        },
+        fasteners: {
+            label: 'Fasteners',
+            re: /\b(?:fasteners?|screws?|bolts?|property\s+class|A[24]-\d{2}|tightening\s+torque|schrauben|boulons?|viti)\b/i
+        }
+    };
+
+    /**
+     * The special conditions from the text after their label: numbered
+     * items run on in sequence (across blank lines); the section ends at a
+     * blank line, an out-of-sequence number, a heading or a line matching
+     * one of `ends` (an issuer profile's section boundaries).
+     */
+    function conditionsSection(str, ends = []) {
+        const lines = String(str).split('\n');
+        const kept = [];
+        let expected = null;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) {
+                const next = lines.slice(i + 1).find(l => l.trim());
+                const num = next && next.trim().match(CONDITION_NUMBER_RE);
+                if (kept.length && !(num && parseInt(num[1]) === expected)) break;
+                continue;
+            }
+            if (kept.length && ends.some(re => re.test(line))) break;
+            const num = line.match(CONDITION_NUMBER_RE);
+            if (num && expected != null && parseInt(num[1]) !== expected) break;
+            if (num) expected = parseInt(num[1]) + 1;
+            else if (kept.length && SECTION_HEADING_RE.test(line)) break;
+            kept.push(line);
+        }
+        const text = kept.join('\n').trim();
+        return text.length >= 10 ? text : null;
+    }
+
+    /**
+     * Split special conditions into [{ number, text, categories[] }]: by
+     * numbered or bulleted lines, else inline numbering, else sentences.
+     * `categories` are CONDITION_CATEGORIES keys.
+     */
+    function splitConditions(text) {
+        const str = String(text || '');
+        let parts = str.split(/\n(?=\s*(?:\(?\d{1,2}[.)]|[-•–*])\s)/);
+        if (parts.length < 2) parts = str.split(/\s(?=\(?\d{1,2}[.)]\s)/);
+        if (parts.length < 2) parts = str.split(/(?<=\.)\s+(?=[A-Z])/);
+        return parts.map(part => {
+            const num = part.trim().match(CONDITION_NUMBER_RE);
+            const body = part.trim().replace(/^(?:\(?\d{1,2}[.)]|[-•–*])\s*/, '').replace(/\s+/g, ' ').trim();
+            return {
+                number: num ? parseInt(num[1]) : null,
+                text: body,
+                categories: Object.keys(CONDITION_CATEGORIES).filter(key => CONDITION_CATEGORIES[key].re.test(body))
+            };
+        }).filter(c => c.text.length > 3);
+    }
+
+    // --- Languages ---
+
+    // Certificate languages: words that identify the language, month
+    // names, and field labels. English labels are the patterns in parse().
+    const LANGUAGES = {
+        en: {
+            name: 'English',
+            markers: ['the', 'and', 'of', 'with', 'certificate', 'equipment', 'manufacturer', 'issued', 'conditions'],
+            months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+            labels: {}
+        },
+        de: {
+            name: 'German',
+            markers: ['der', 'die', 'das', 'und', 'für', 'mit', 'gemäß', 'bescheinigung', 'hersteller', 'richtlinie', 'geräte'],
+            months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+            labels: {
+                manufacturer: ['Hersteller', 'Antragsteller'],
+                product: ['Produkt', 'Gerät(?:\\s+oder\\s+Schutzsystem)?', 'Betriebsmittel', 'Bezeichnung'],
+                issueDate: ['Ausstellungsdatum', 'Datum\\s+der\\s+Ausstellung', 'Ausgestellt\\s+am'],
+                expiryDate: ['Gültig\\s+bis', 'Ablaufdatum'],
+                specialConditions: ['Besondere\\s+Bedingungen(?:\\s+für\\s+die\\s+sichere\\s+(?:Anwendung|Verwendung))?']
+            }
+        },
+        fr: {
+            name: 'French',
+            markers: ['le', 'la', 'les', 'des', 'et', 'pour', 'avec', 'attestation', 'fabricant', 'matériel', 'conformité'],
+            months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+            labels: {
+                manufacturer: ['Fabricant', 'Demandeur'],
+                product: ['Produit', 'Appareil(?:\\s+ou\\s+système\\s+de\\s+protection)?', 'Matériel'],
+                issueDate: ["Date\\s+d['’]émission", 'Date\\s+de\\s+délivrance', 'Délivré\\s+le'],
+                expiryDate: ["Valable\\s+jusqu['’]au", "Date\\s+d['’]expiration"],
+                specialConditions: ['Conditions\\s+(?:spéciales|particulières)(?:\\s+pour\\s+une\\s+utilisation\\s+sûre)?']
+            }
+        },
+        it: {
+            name: 'Italian',
+            markers: ['il', 'della', 'delle', 'del', 'per', 'con', 'certificato', 'costruttore', 'apparecchio', 'esame'],
+            months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+            labels: {
+                manufacturer: ['Costruttore', 'Fabbricante', 'Produttore', 'Richiedente'],
+                product: ['Prodotto', 'Apparecchi(?:o|atura)'],
+                issueDate: ['Data\\s+di\\s+emissione', 'Emesso\\s+il'],
+                expiryDate: ['Valido\\s+fino\\s+al', 'Data\\s+di\\s+scadenza'],
+                specialConditions: ["Condizioni\\s+(?:speciali|particolari)(?:\\s+per\\s+l['’]uso\\s+sicuro)?"]
+            }
+        },
+        no: {
+            name: 'Norwegian',
+            markers: ['og', 'av', 'til', 'med', 'som', 'sertifikat', 'produsent', 'utstyr', 'betingelser'],
+            months: ['januar', 'februar', 'mars', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'desember'],
+            labels: {
+                manufacturer: ['Produsent', 'Tilvirker', 'Søker'],
+                product: ['Produkt', 'Utstyr'],
+                issueDate: ['Utstedelsesdato', 'Utstedt(?:\\s+dato)?'],
+                expiryDate: ['Gyldig\\s+til', 'Utløpsdato'],
+                specialConditions: ['Spesielle\\s+(?:betingelser|vilkår)(?:\\s+for\\s+sikker\\s+bruk)?']
+            }
+        }
+    };
+
+    /**
+     * Languages of a certificate text, most used first, by counting marker
+     * words. Bilingual certificates list both. Defaults to ['en'].
+     */
+    function detectLanguages(text) {
+        const words = String(text || '').toLowerCase().match(/[a-zà-ÿ]+/g) || [];
+        const counts = {};
+        for (const w of words) counts[w] = (counts[w] || 0) + 1;
+        const scores = Object.entries(LANGUAGES)
+            .map(([code, l]) => ({ code, score: l.markers.reduce((n, w) => n + (counts[w] || 0), 0) }))
+            .sort((a, b) => b.score - a.score);
+        const best = scores[0].score;
+        if (!best) return ['en'];
+        return scores.filter(s => s.score > 0 && s.score >= best * 0.3).map(s => s.code);
+    }
+
+    // Label patterns for a field in the given languages; a label may be
+    // followed by its translation, e.g. "Hersteller / Manufacturer:"
+    function labelPatterns(field, languages, value) {
+        return languages.flatMap(code => (LANGUAGES[code].labels[field] || []).flatMap(label => labelRegexes(label, value)));
+    }
+
+    // "Label: value" or the value on the next line; "Label / Translation" allowed
+    function labelRegexes(label, value) {
+        return [
+            new RegExp(label + '(?:\\s*\\/[^:\\n]{0,40})?\\s*:\\s*' + value, 'i'),
+            new RegExp(label + '(?:\\s*\\/[^:\\n]{0,40})?[:\\s]*\\n\\s*' + value, 'i')
+        ];
+    }
+
+    // --- Issuer Profiles ---
+
+    const PROFILES = [];
+
+    /**
+     * Register an issuer profile. Profiles are plain data, so they can come
+     * from JSON; patterns are regular expression source strings:
+     *   { id, name,
+     *     bodies: ['BASEEFA'],        issuer names as in CERT_BODIES
+     *     schemes: ['ATEX', 'UKEX'],  certificate number schemes
+     *     detect: '...',              text the layout always contains
+     *     labels: { manufacturer, product, issueDate, expiryDate, specialConditions: [label, ...] },
+     *     sections: { specialConditions: { end: ['^\\(18\\)', ...] } } }
+     * A label is followed by ":" or a line break and the value, unless it
+     * places the value itself with "{value}". bodies, schemes and detect
+     * each narrow where the profile applies; the most specific match wins.
+     * A profile with an existing id replaces it.
+     */
+    function addProfile(profile) {
+        if (!profile || typeof profile.id !== 'string') throw new Error('Profile needs an id');
+        const patterns = [
+            ...Object.values(profile.labels || {}).flat(),
+            ...Object.values(profile.sections || {}).flatMap(s => s.end || []),
+            ...(profile.detect ? [profile.detect] : [])
+        ];
+        for (const source of patterns) {
+            try { new RegExp(source); }
+            catch (err) { throw new Error(`Profile ${profile.id}: ${err.message}`); }
+        }
+        const i = PROFILES.findIndex(p => p.id === profile.id);
+        if (i !== -1) PROFILES.splice(i, 1, profile);
+        else PROFILES.push(profile);
+        return profile;
+    }
+
+    function profiles() {
+        return [...PROFILES];
+    }
+
+    // Issuer named by the certificate number, else any known body in the text
+    function issuerNames(text, parts) {
+        if (parts) {
+            const name = parts.bodyName || ISSUER_CODES[parts.body.toUpperCase()] || parts.body;
+            return [BODY_ALIASES[name] || name];
+        }
+        return CERT_BODIES.filter(body => text.includes(body)).map(body => BODY_ALIASES[body] || body);
+    }
+
+    /**
+     * The profile for a certificate text, given its decomposed number (or
+     * null), or null when none applies. A certificate-number issuer counts
+     * more than a body named in the text.
+     */
+    function detectProfile(text, parts) {
+        const issuers = issuerNames(text, parts);
+        let best = null, bestScore = 0;
+        for (const p of PROFILES) {
+            let score = 0;
+            if (p.bodies && p.bodies.length) {
+                if (!p.bodies.some(b => issuers.includes(BODY_ALIASES[b] || b))) continue;
+                score += parts ? 3 : 2;
+            }
+            if (p.schemes && p.schemes.length) {
+                if (!parts || !p.schemes.includes(parts.scheme)) continue;
+                score += 1;
+            }
+            if (p.detect) {
+                if (!new RegExp(p.detect, 'i').test(text)) continue;
+                score += 1;
+            }
+            if (score > bestScore) {
+                best = p;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    function profilePatterns(profile, field, value) {
+        return ((profile.labels || {})[field] || []).flatMap(label => label.includes('{value}')
+            ? [new RegExp(label.replace('{value}', () => value), 'i')]
+            : labelRegexes(label, value));
+    }
+
+    // --- ATEX Directive Marking ---
+
+    // Optional hexagon (often extracted as "Ex", "<Ex>" or "⟨Ex⟩"), then
+    // group II with category/atmosphere pairs, or group I with M1/M2
+    const DIRECTIVE_RE = /(?:[⟨<]\s*[EƐε]x\s*[⟩>]\s*|\bEx\s+)?(?:\bII\s+(?:\(?\s*[1-3]\s*\)?(?:\s*\/\s*[1-3])?(?:\s*\(\s*[1-3]\s*\))?\s*(?:GD|G|D)\b[\s\/]*)+|\bI\s+M\s*[12]\b)/;
+
+    /**
+     * Decode an ATEX directive marking such as "II 2 GD" or "I M2":
+     *   { text, group, category, atmospheres[], categories[{category, atmosphere}],
+     *     associated[{category, atmosphere}] }
+     * `category` is the first equipment category; parenthesised categories
+     * are for associated apparatus. Null when the string has none.
+     */
+    function parseDirective(str) {
+        const found = String(str || '').match(DIRECTIVE_RE);
+        if (!found) return null;
+        const text = found[0].trim().replace(/\s+/g, ' ').replace(/[\s\/]+$/, '');
+        const mining = text.match(/\bI\s+M\s*([12])\b/);
+        if (mining) {
+            const pair = { category: 'M' + mining[1], atmosphere: 'M' };
+            return { text, group: 'I', category: pair.category, atmospheres: ['M'], categories: [pair], associated: [] };
+        }
+
+        const categories = [];
+        const associated = [];
+        const pairRe = /(\(\s*[1-3]\s*\)|[1-3](?:\s*\/\s*[1-3])?)(?:\s*\(\s*([1-3])\s*\))?\s*(GD|G|D)\b/g;
+        for (const m of text.replace(/^.*?\bII\s+/, '').matchAll(pairRe)) {
+            for (const atmosphere of m[3]) {
+                const cat = m[1].replace(/\s+/g, '');
+                if (cat.startsWith('(')) associated.push({ category: cat.slice(1, -1), atmosphere });
+                else categories.push({ category: cat, atmosphere });
+                if (m[2]) associated.push({ category: m[2], atmosphere });
+            }
+        }
+        const atmospheres = [...new Set(categories.concat(associated).map(c => c.atmosphere))];
+        return {
+            text,
+            group: 'II',
+            category: categories.length ? categories[0].category : null,
+            atmospheres,
+            categories,
+            associated
+        };
+    }
+
+    // --- OCR Corrections ---
+
+    // Common misreads in scanned Ex certificates, in the order they are fixed.
+    // Each applies only where the context makes the reading unambiguous.
+    const OCR_FIXES = [
+        // l or 1 for I: "lECEx", "lssue"
+        [/\b[l1|](?=ECEx\b|ssue\b|EC\s+60079)/g, () => 'I'],
+        // O for 0 in numbers and dates: "2O19-11-O5", "6O°C"
+        [/(?<![A-Za-z])[\dOo][\dOo\-./]*[\dOo](?![A-Za-z])/g, m => (m.match(/\d/g) || []).length >= 2 ? m.replace(/[Oo]/g, '0') : m],
+        [/(?<=[\s(+\-−±\d]|^)[Oo](?=\s?°\s?C)/gm, () => '0'],
+        [/(?<=(?:ATEX|UKEX)\s?)[\dOo]{3,5}(?=[XU]?\b)/g, m => m.replace(/[Oo]/g, '0')],
+        // Equipment group "11 2 G", and gas/dust groups "1IC", "lIB", "I1IC"
+        // right after a marking's protection codes or a "Group" label. A
+        // group is II or III plus a letter, so "1A" or "11A" (a current) is
+        // left alone
+        [/(?<=^|\s)[1lI|]{2}(?=\s+[123]\s?[GD]\b)/gm, () => 'II'],
+        [/(?<=\b(?:A?Ex(?:\s+\[?(?:[a-z1l][A-Za-z0-9]{0,2}|[GDM][abc8])\]?){0,6}|Group|Gruppe)\s+)[1lI|]{2,3}[ABC](?![A-Za-z0-9])/g, m => 'I'.repeat(m.length - 1) + m.slice(-1)],
+        // 8 for b and 1 for i in protection codes and EPLs: "Ex d8 e8", "Ex 1a", "G8"
+        [/(?<=\bA?Ex(?:\s+[A-Za-z0-9]{1,3})*\s+)(?:[deimost]|p[xy])8(?![A-Za-z0-9])/g, m => m.slice(0, -1) + 'b'],
+        [/(?<=\bA?Ex\s+)[1l](?=[abc]\b)/g, () => 'i'],
+        [/(?<=\bA?Ex\b[^\n]{0,40}\s)[GDM]8(?![A-Za-z0-9])/g, m => m[0] + 'b'],
+        // Split temperature class: "IIC T 4 Gb", "IIIC T 85°C"
+        [/(?<=\bI{1,3}[ABC]?\s+)T\s+(\d+)/g, (m, d) => `T${d}`],
+        [/\bT\s+([1-6])(?=\s+[GD][abc]\b)/g, (m, d) => `T${d}`],
+        // Degree sign read as o or 0: "85oC", "T1350C", "-200C to +400C".
+        // A 0 only where the reading cannot be meant: above T450, or an
+        // ambient range end beyond ±100 °C ("+100C" may be a real 100 °C)
+        [/(\d)\s?[oOº]\s?C\b/g, (m, d) => `${d}°C`],
+        [/\bT(\d{2,3})\s?0\s?C\b/g, (m, n) => +(n + '0') > 450 ? `T${n}°C` : m],
+        [/(?<=(?:\bT(?:a|amb)\s*(?:≤|<=|<)|\b(?:to|bis|à|a|til)|\.{2,3}|…|–|—)\s*)(\+\s?)(\d{2})\s?0\s?C\b/g,
+            (m, sign, n) => +n > 10 ? `${sign}${n}°C` : m],
+        [/([-−]\s?)(\d{2})\s?0\s?C\b(?=\s*(?:≤\s*T(?:a|amb)|to\b|bis\b|à|a\b|til\b|\.{2,3}|…|–|—))/g,
+            (m, sign, n) => +n > 10 ? `${sign}${n}°C` : m]
+    ];
+
+    /**
+     * Fix common OCR misreads in certificate text: "1IC" → "IIC",
+     * "Ex d8" → "Ex db", "T 4" → "T4", "85oC" → "85°C", "2O19" → "2019".
+     * Returns { text, corrections: [{ from, to, index }] }; applied in
+     * order, each correction replaced `from` at `index` in the text as it
+     * stood after the ones before it.
+     */
+    function correctOcr(text) {
+        const corrections = [];
+        for (const [re, fix] of OCR_FIXES) {
+            let shift = 0;
+            text = text.replace(re, (...args) => {
+                const to = fix(...args);
+                if (to !== args[0]) {
+                    corrections.push({ from: args[0], to, index: args[args.length - 2] + shift });
+                    shift += to.length - args[0].length;
+                }
+                return to;
+            });
+        }
+        return { text, corrections };
+    }
+
+    // --- NEC / CEC Class and Division ---
+
+    // Temperature codes → max surface temperature in °C
+    const NEC_TEMP_CODES = {
+        'T1': 450, 'T2': 300, 'T2A': 280, 'T2B': 260, 'T2C': 230, 'T2D': 215,
+        'T3': 200, 'T3A': 180, 'T3B': 165, 'T3C': 160, 'T4': 135, 'T4A': 120,
+        'T5': 100, 'T6': 85
+    };
+
+    const DIVISION_GROUP_INFO = {
+        'A': 'Acetylene', 'B': 'Hydrogen', 'C': 'Ethylene', 'D': 'Propane',
+        'E': 'Metal dust', 'F': 'Carbonaceous dust', 'G': 'Grain and other dusts'
+    };
+
+    // Nearest IEC group of each Division group, most stringent first
+    const DIVISION_IEC_GROUP = { 'A': 'IIC', 'B': 'IIC', 'C': 'IIB', 'D': 'IIA', 'E': 'IIIC', 'F': 'IIIB', 'G': 'IIIB' };
+
+    const CLASS_DIVISION_RE = /\b(?:Class|CLASS|CL\.?)\s*(I{1,3}(?:\s*(?:,|\/|&|and)\s*I{1,3})*)\s*,?\s*(?:Division|DIVISION|Div\.?|DIV\.?)\s*([12])\b(?:\s*,?\s*(?:Groups?|GROUPS?|GRPS?\.?|GPS?\.?)\s*([A-G](?:\s*(?:,|\/|&|and|-|–)?\s*[A-G]\b)*))?(?:\s*[,;]?\s*(T[1-6][A-D]?)\b)?/g;
+
+    function divisionGroups(str) {
+        const groups = [];
+        for (const m of String(str || '').matchAll(/([A-G])(?:\s*[-–]\s*([A-G]))?/g)) {
+            const to = m[2] || m[1];
+            for (let c = m[1].charCodeAt(0); c <= to.charCodeAt(0); c++) groups.push(String.fromCharCode(c));
+        }
+        return [...new Set(groups)];
+    }
+
+    // Most stringent IEC temperature class the surface temperature meets
+    function iecTempClass(temp) {
+        if (!temp) return null;
+        return Object.keys(TEMP_CLASS_INFO).reverse().find(tc => parseInt(TEMP_CLASS_INFO[tc]) >= temp) || null;
+    }
+
+    /**
+     * Decode a NEC 500 / CEC Annex J marking such as
+     * "Class I, Division 1, Groups A, B, C, D, T4":
+     *   { text, classes[], division, groups[], tempCode, maxSurfaceTemp, iec[] }
+     * `iec` gives the IEC equivalent per atmosphere: the area zones a
+     * Division covers, and the EPL, group and temperature class the
+     * equipment corresponds to. Null when the string has none.
+     */
+    function parseClassDivision(str) {
+        const m = [...String(str || '').matchAll(CLASS_DIVISION_RE)][0];
+        if (!m) return null;
+        const classes = m[1].match(/I{1,3}/g);
+        const division = m[2];
+        const groups = divisionGroups(m[3]);
+        const tempCode = m[4] ? m[4].toUpperCase() : null;
+        const maxSurfaceTemp = NEC_TEMP_CODES[tempCode] || null;
+
+        const iec = classes.map(cls => {
+            const atmosphere = cls === 'I' ? 'gas' : 'dust';
+            const own = groups.filter(g => cls === 'I' ? 'ABCD'.includes(g) : 'EFG'.includes(g));
+            const group = cls === 'III' ? 'IIIA' : own.map(g => DIVISION_IEC_GROUP[g]).sort().pop() || null;
+            return {
+                class: cls,
+                atmosphere,
+                zones: atmosphere === 'gas' ? (division === '1' ? ['0', '1'] : ['2']) : (division === '1' ? ['20', '21'] : ['22']),
+                epl: (atmosphere === 'gas' ? 'G' : 'D') + (division === '1' ? 'b' : 'c'),
+                group,
+                tempClass: atmosphere === 'gas' ? iecTempClass(maxSurfaceTemp) : null
+            };
+        });
+
+        return {
+            text: m[0].trim().replace(/\s+/g, ' '),
+            classes,
+            division,
+            groups,
+            groupInfo: groups.map(g => `${g}: ${DIVISION_GROUP_INFO[g]}`),
+            tempCode,
+            maxSurfaceTemp,
+            iec
+        };
+    }
+
+    // Four-digit notified body number, most specific context first
+    const NB_NUMBER_PATTERNS = [
+        /\bCE\s*(\d{4})\b/,
+        /\b(?:Notified|Approved)\s+Body\s*(?:No\.?|Number|Identification(?:\s+No\.?)?)?\s*[:.]?\s*(\d{4})\b/i,
+        /\bNB\s*(?:No\.?)?\s*[:.]?\s*(\d{4})\b/,
+        // Number printed right before the directive marking: "0518 ⟨Ex⟩ II 2 G",
+        // not the year of a date ("12.03.2019 II 1 G")
+        /(?<![:\d]|\d[./-]|(?:ATEX|UKEX)\s*)\b(\d{4})[ \t]+(?:[⟨<]\s*[EƐε]x\s*[⟩>]\s*|Ex\s+)?I{1,2}\s+(?:\(?[1-3]|M\s*[12])/
+    ];
+
+    // EU notified / UK approved body numbers → body name as in CERT_BODIES
+    const NOTIFIED_BODIES = {
+        '0035': 'TÜV',      // TÜV Rheinland Industrie Service
+        '0044': 'TÜV',      // TÜV NORD CERT
+        '0080': 'INERIS',
+        '0081': 'LCIE',
+        '0102': 'PTB',
+        '0123': 'TÜV',      // TÜV SÜD Product Service
+        '0158': 'DEKRA',    // DEKRA Testing and Certification (formerly EXAM BBG)
+        '0344': 'DEKRA',    // DEKRA Certification B.V. (formerly KEMA)
+        '0470': 'NEMKO',
+        '0518': 'SIRA',
+        '0539': 'DEMKO',    // UL International Demko
+        '0598': 'SGS',      // SGS Fimko
+        '0637': 'IBExU',
+        '0722': 'CESI',
+        '0820': 'ZELM',
+        '1026': 'FTZU',
+        '1180': 'BASEEFA',
+        '1725': 'FM',       // FM Approvals Ltd
+        '2503': 'CML',      // Certification Management Ltd (UK)
+        '2776': 'CML'       // CML B.V.
+    };
+
+    // Certificate numbers by scheme. Groups: body, year, serial, suffix,
+    // issue; `groups` reorders them (plus country) where a format differs
+    const CERT_NUMBER_PATTERNS = [
+        // IECEx BAS 12.0001X/3, IECEx SIR 09.0012U
+        { scheme: 'IECEx', re: /IECEx\s*([A-Z]{2,5})\s*(\d{2})\s*\.\s*(\d{3,5})\s*([A-Z])?(?:\s*\/\s*(\d+(?:\.\d+)?))?/i, confidence: 0.95 },
+        // Baseefa15ATEX0123X/2, FIDI 24 ATEX 0075X, PTB 99 ATEX 1234 X
+        { scheme: 'ATEX', re: /\b([A-Za-zÜÚ]{2,10})\s*(\d{2})\s*ATEX\s*(\d{3,5})\s*([XU])?(?:\s*\/\s*V?(\d+))?/i, confidence: 0.9 },
+        // CML 21UKEX1234X, BAS 21UKEX0123U/1
+        { scheme: 'UKEX', re: /\b([A-Za-z]{2,10})\s*(\d{2})\s*UKEX\s*(\d{3,5})\s*([XU])?(?:\s*\/\s*(\d+))?/i, confidence: 0.9 },
+        // North American hazardous locations: FM16US0123X, CSA 17CA70012345X, UL 19CA1234X
+        {
+            scheme: 'NEC/CEC',
+            re: /\b(FM|CSA|ULC?|ITS)\s*(\d{2})\s*(US|CA)\s*(\d{4,8})\s*([XU])?(?:\s*\/\s*(\d+))?(?!\w)/,
+            groups: m => [m[1], m[2], m[4], m[5], m[6], m[3]],
+            confidence: 0.85
+        },
+        // UL Certificate of Compliance 20190520-E123456, or the UL file number alone
+        {
+            scheme: 'NEC/CEC',
+            re: /\b(?:((?:19|20)\d{6})\s*-\s*|(?:c?UL(?:us)?\s+)?File\s*(?:No\.?|Number)?\s*:?\s*)(E\d{5,6})\b/,
+            groups: m => ['UL', m[1] ? m[1].slice(2, 4) : null, m[2], null, null, null],
+            confidence: 0.8
+        }
+    ];
+
+    function fullYear(yy) {
+        const n = parseInt(yy);
+        return n >= 90 ? 1900 + n : 2000 + n;
+    }
+
+    // Match of a CERT_NUMBER_PATTERNS entry → structured parts
+    function certParts(m, { scheme, groups }) {
+        const [rawBody, yy, serial, suffix, issue, country = null] = groups ? groups(m) : m.slice(1);
+        const body = rawBody.toUpperCase();
+        const sfx = suffix ? suffix.toUpperCase() : null;
+
+        const base = scheme === 'IECEx' ? `IECEx ${body} ${yy}.${serial}${sfx || ''}`
+            : scheme !== 'NEC/CEC' ? `${body} ${yy} ${scheme} ${serial}${sfx || ''}`
+            : country ? `${body} ${yy}${country}${serial}${sfx || ''}`
+            : `${body} ${serial}`;
+
+        const problems = [];
+        if (scheme === 'IECEx' && serial.length !== 4) problems.push(`IECEx serial ${serial} should have 4 digits`);
+        if (sfx && sfx !== 'X' && sfx !== 'U') problems.push(`Suffix ${sfx} should be X or U`);
+        if (!ISSUER_CODES[body]) problems.push(`${rawBody} is not a known issuing body code`);
+        if (yy && fullYear(yy) > new Date().getFullYear() + 1) problems.push(`Year ${yy} is in the future`);
+
+        return {
+            scheme,
+            body,
+            bodyName: ISSUER_CODES[body] || null,
+            year: yy ? fullYear(yy) : null,
+            country,
+            serial,
+            suffix: sfx,
+            issue: issue || null,
+            base,
+            canonical: issue ? `${base}/${issue}` : base,
+            malformed: problems.length > 0,
+            problems
+        };
+    }
+
+    /**
+     * Find and decompose the first IECEx / ATEX / UKEX / NEC-CEC number in
+     * a string.
+     */
+    function parseCertNumber(str) {
+        if (!str) return null;
+        for (const entry of CERT_NUMBER_PATTERNS) {
+            const m = String(str).match(entry.re);
+            if (m) return certParts(m, entry);
+        }
+        return null;
+    }
+
+    // Issuer codes in certificate numbers → body name as in CERT_BODIES
+    const ISSUER_CODES = {
+        'FTZÚ': 'FTZU', 'TRAC': 'Element', 'ELEMENT': 'Element',
+        'BAS': 'BASEEFA', 'BASEEFA': 'BASEEFA', 'SIR': 'SIRA', 'SIRA': 'SIRA',
+        'DEK': 'DEKRA', 'DEKRA': 'DEKRA', 'BVS': 'BVS', 'PTB': 'PTB',
+        'INE': 'INERIS', 'INERIS': 'INERIS', 'CES': 'CESI', 'CESI': 'CESI',
+        'LCI': 'LCIE', 'LCIE': 'LCIE', 'ULD': 'UL', 'UL': 'UL', 'DEMKO': 'DEMKO',
+        'FMG': 'FM', 'FM': 'FM', 'CSA': 'CSA', 'ULC': 'UL', 'TUN': 'TÜV', 'TUR': 'TÜV', 'TUV': 'TÜV', 'TÜV': 'TÜV',
+        'SGS': 'SGS', 'ZLM': 'ZELM', 'ZELM': 'ZELM', 'FTZU': 'FTZU', 'NEM': 'NEMKO', 'NEMKO': 'NEMKO',
+        'KEM': 'KEMA', 'KEMA': 'KEMA', 'IBE': 'IBExU', 'IBEXU': 'IBExU', 'CML': 'CML',
+        'ITS': 'ITS', 'EPS': 'Bureau Veritas', 'PRE': 'Presafe', 'PRESAFE': 'Presafe',
+        'FIDI': 'Fiditas', 'EXV': 'ExVeritas', 'EXVERITAS': 'ExVeritas', 'NEP': 'NEPSI',
+        'TSA': 'TestSafe', 'ELM': 'Element', 'EUT': 'Eurofins'
+    };
+
+    // Spellings of the same body in CERT_BODIES
+    const BODY_ALIASES = {
+        'TUV': 'TÜV', 'FIDITAS': 'Fiditas', 'CSA Group': 'CSA', 'DNV GL': 'DNV',
+        'Physikalisch-Technische Bundesanstalt': 'PTB'
+    };
+
+    // Month name or abbreviation in any supported language → 1-12, or 0.
+    // Abbreviations must be unambiguous: "jui" could be juin or juillet.
+    function monthNumber(word) {
+        const w = word.toLowerCase().replace(/\.$/, '');
+        const names = Object.values(LANGUAGES).map(l => l.months);
+        for (const months of names) {
+            const i = months.indexOf(w);
+            if (i !== -1) return i + 1;
+        }
+        if (w.length < 3) return 0;
+        const hits = new Set();
+        for (const months of names) months.forEach((name, i) => { if (name.startsWith(w)) hits.add(i + 1); });
+        return hits.size === 1 ? [...hits][0] : 0;
+    }
+
+    // Certificate date text → "YYYY-MM-DD", or null when not understood
+    function parseDate(str) {
+        if (!str) return null;
+        const s = String(str).trim();
+        const pad = n => String(n).padStart(2, '0');
+        // The day must exist in that month: 31.02.2020 is not a date
+        const iso = (y, m, d) => {
+            const date = new Date(Date.UTC(y, m - 1, d));
+            if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+            return `${y}-${pad(m)}-${pad(d)}`;
+        };
+
+        let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+        if (m) return iso(m[1], +m[2], +m[3]);
+        m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+        if (m) return iso(m[3], +m[2], +m[1]);
+        m = s.match(/^(\d{1,2})(?:st|nd|rd|th|er)?[\s./-]+([A-Za-zÀ-ÿ]{3,10})\.?[\s./,-]+(\d{4})$/);
+        if (m) {
+            const month = monthNumber(m[2]);
+            return month ? iso(m[3], month, +m[1]) : null;
+        }
+        m = s.match(/^([A-Za-zÀ-ÿ]{3,10})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/);
+        if (m) {
+            const month = monthNumber(m[1]);
+            return month ? iso(m[3], month, +m[2]) : null;
+        }
+        return null;
+    }
+
+    /**
+     * Validity of a certificate on a given day:
+     *   { status: 'valid' | 'expiring' | 'expired' | 'no-expiry', daysLeft }
+     * "expiring" means it expires within `warnDays` (default 90).
+     */
+    function validity(result, { warnDays = 90, today = new Date() } = {}) {
+        const expires = parseDate(result.expiryDate);
+        if (!expires) return { status: 'no-expiry', daysLeft: null };
+        const day = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+        const daysLeft = Math.round((Date.parse(expires) - day) / 86400000);
+        const status = daysLeft < 0 ? 'expired' : daysLeft <= warnDays ? 'expiring' : 'valid';
+        return { status, daysLeft };
+    }
+
+    const ATEX_LEVEL = { '1': 'a', '2': 'b', '3': 'c' };
+
+    /**
+     * Cross-field consistency checks on a parse() result.
+     * Returns warnings: { code, fields, message }.
+     */
+    function validate(result) {
+        const warnings = [];
+        const warn = (code, fields, message) => warnings.push({ code, fields, message });
+        const markings = result.markings || [];
+
+        // ATEX category vs EPL: category 1/2/3 ↔ EPL level a/b/c. A decoded
+        // directive marking gives a category per atmosphere.
+        const directiveCats = result.directive ? result.directive.categories : [];
+        for (const [atmosphere, r] of [['G', result.gas], ['D', result.dust]]) {
+            if (!r || !r.epl) continue;
+            const own = directiveCats.find(c => c.atmosphere === atmosphere);
+            const category = own ? own.category + atmosphere : result.category;
+            const cat = String(category || '').match(/^([1-3])/);
+            if (cat && r.epl[1] !== ATEX_LEVEL[cat[1]]) {
+                warn('category-epl', ['category', 'epl'],
+                    `ATEX category ${category} does not match EPL ${r.epl} (expected ${r.epl[0]}${ATEX_LEVEL[cat[1]]})`);
+            }
+        }
+
+        for (const m of markings) {
+            // The EPL follows the weakest protection level in the marking;
+            // for a split "Ga/Gb" that is its less protective level
+            const levels = m.protection.map(p => p.level).filter(Boolean);
+            if (m.epl && levels.length) {
+                const weakest = levels.sort().pop();
+                if (m.epl.split('/').map(e => e[1]).sort().pop() !== weakest) {
+                    const codes = m.protection.filter(p => p.level).map(p => p.code).join(' ');
+                    warn('protection-epl', ['markings', 'epl'],
+                        `"${m.text}": protection ${codes} implies EPL level ${weakest}, marking says ${m.epl}`);
+                }
+            }
+
+            if (m.atmosphere === 'dust' && m.tempClass) {
+                warn('dust-tclass', ['markings', 'tempClass'],
+                    `"${m.text}": gas temperature class ${m.tempClass} on a group ${m.group} dust marking`);
+            }
+
+            const eplAtmosphere = { G: 'gas', D: 'dust', M: 'mining' }[m.epl && m.epl[0]];
+            if (eplAtmosphere && m.atmosphere && eplAtmosphere !== m.atmosphere) {
+                warn('group-epl', ['markings', 'epl'],
+                    `"${m.text}": EPL ${m.epl} does not belong to group ${m.group}`);
+            }
+        }
+
+        const parts = result.certParts || parseCertNumber(result.certNumber);
+        if (parts) {
+            for (const problem of parts.problems) {
+                warn('cert-number', ['certNumber'], `Certificate number ${parts.canonical}: ${problem}`);
+            }
+        }
+
+        // X suffix ↔ special conditions
+        if (parts) {
+            const hasX = parts.suffix === 'X';
+            if (hasX && !result.specialConditions) {
+                warn('x-no-conditions', ['certNumber', 'specialConditions'],
+                    `Certificate ${result.certNumber} has the X suffix but no special conditions were found`);
+            } else if (!hasX && result.specialConditions) {
+                warn('conditions-no-x', ['certNumber', 'specialConditions'],
+                    `Special conditions were found but certificate ${result.certNumber} has no X suffix`);
+            }
+        }
+
+        // Notified body vs the issuer code in the certificate number. A body
+        // named by the CE number is the production QA body, which may differ.
+        const issuer = parts && parts.bodyName;
+        const fromNumber = result.nbNumber && NOTIFIED_BODIES[result.nbNumber] === result.notifiedBody;
+        if (issuer && result.notifiedBody && !fromNumber) {
+            const body = BODY_ALIASES[result.notifiedBody] || result.notifiedBody;
+            if (body.toUpperCase() !== issuer.toUpperCase()) {
+                warn('body-issuer', ['notifiedBody', 'certNumber'],
+                    `Notified body ${result.notifiedBody} does not match issuer ${issuer} of ${result.certNumber}`);
+            }
+        }
+
+        // Issue date after expiry date
+        const issued = parseDate(result.issueDate);
+        const expires = parseDate(result.expiryDate);
+        if (issued && expires && issued > expires) {
+            warn('issue-after-expiry', ['issueDate', 'expiryDate'],
+                `Issue date ${result.issueDate} is after expiry date ${result.expiryDate}`);
+        }
+
+        return warnings;
+    }
+
+    // Overall score: each field's weight scaled by its own confidence.
+    // Results without evidence (older scans) count found fields in full.
     function confidence(result) {
         let score = 0;
+        const evidence = result.evidence || {};
+        const primary = (result.markings || [])[0] || {};
+        const values = {
+            ...result,
+            group: primary.group,
+            tempClass: primary.tempClass || primary.maxSurfaceTemp,
+            protection: primary.protection,
+            epl: primary.epl
+        };
+        // Decoded marking parts share the marking's evidence
+        const source = { group: 'marking', tempClass: 'marking', protection: 'marking', epl: 'marking' };
         const weights = {
             certNumber: 20,
             marking: 20,
-            gasGroup: 10,
+            group: 10,
             tempClass: 10,
-            protectionTypes: 10,
+            protection: 10,
             epl: 5,
             manufacturer: 5,
-            equipment: 5,
+            product: 5,
             notifiedBody: 5,
             ipRating: 3,
             ambientTemp: 3,
@@ -350,13 +1542,16 @@ const ExParser = (() => {
         };
 
         for (const [field, weight] of Object.entries(weights)) {
-            const val = result[field];
+            const val = values[field];
             if (val && (Array.isArray(val) ? val.length > 0 : true)) {
-                score += weight;
+                const ev = evidence[source[field] || field];
+                score += weight * (ev ? ev.confidence : 1);
             }
         }
-        return Math.min(100, score);
+        return Math.min(100, Math.round(score));
     }
 
-    return { parse, confidence, PROTECTION_TYPES, GAS_GROUP_INFO, TEMP_CLASS_INFO };
+    return { parse, detectLanguages, detectProfile, addProfile, profiles, correctOcr, parseMarking, rating, parseEntity, parseTempRatings, tempRatingAt, splitConditions, parseDirective, parseClassDivision, parseCertNumber, parseDate, validity, confidence, validate, protectionInfo, PROTECTION_TYPES, GAS_GROUP_INFO, TEMP_CLASS_INFO, EPL_ZONE_MAP, NOTIFIED_BODIES, NEC_TEMP_CODES, LANGUAGES, CONDITION_CATEGORIES };
 })();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExParser;
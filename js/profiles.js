@@ -0,0 +1,104 @@
+/**
+ * Ex Issuer Profiles
+ * Label maps and section boundaries for the fixed certificate layouts of
+ * the major certification bodies, registered with ExParser.addProfile.
+ * Profiles are plain data; more can be added the same way, from another
+ * script or a JSON file, without changes to the parser.
+ */
+
+const ExProfiles = (ExParser => {
+    const BUILT_IN = [
+        {
+            // IECEx Certificate of Conformity, whichever body issued it
+            id: 'iecex-coc',
+            name: 'IECEx Certificate of Conformity',
+            schemes: ['IECEx'],
+            labels: {
+                manufacturer: ['Manufacturer', 'Applicant'],
+                product: ['Equipment'],
+                issueDate: ['Date\\s+of\\s+Issue'],
+                specialConditions: [
+                    'Special\\s+Conditions\\s+for\\s+Safe\\s+Use',
+                    'Specific\\s+Conditions\\s+of\\s+Use\\s*:\\s*YES,?\\s+as\\s+shown\\s+below'
+                ]
+            },
+            sections: {
+                specialConditions: { end: ['^Equipment\\s*\\(continued\\)', '^Annex', '^Test\\s+Reports?', '^Quality\\s+Assessment\\s+Report'] }
+            }
+        },
+        {
+            // Numbered boxes: [4] Product, [5] Manufacturer, [17] Specific Conditions of Use
+            id: 'baseefa',
+            name: 'Baseefa (SGS)',
+            bodies: ['BASEEFA'],
+            schemes: ['ATEX', 'UKEX'],
+            labels: {
+                manufacturer: ['(?:\\[?5\\]?\\s*)?Manufacturer'],
+                product: ['(?:\\[?4\\]?\\s*)?(?:Product|Equipment)'],
+                issueDate: ['Date\\s+of\\s+Issue', 'Issue\\s+Date'],
+                specialConditions: ['(?:\\[?17\\]?\\s*)?Specific\\s+Conditions\\s+of\\s+Use']
+            },
+            sections: {
+                specialConditions: { end: ['^\\[?18\\]?\\s*Essential\\s+Health', '^Certificate\\s+History'] }
+            }
+        },
+        {
+            // Numbered boxes (1)–(18); dated "Arnhem, <date>"
+            id: 'dekra',
+            name: 'DEKRA Certification',
+            bodies: ['DEKRA'],
+            schemes: ['ATEX', 'UKEX'],
+            labels: {
+                manufacturer: ['\\(5\\)\\s*Manufacturer'],
+                product: ['\\(4\\)\\s*(?:Product|Equipment)'],
+                issueDate: ['Date\\s+of\\s+issue', 'Arnhem,\\s*{value}'],
+                specialConditions: ['\\(17\\)\\s*Specific\\s+Conditions\\s+of\\s+Use']
+            },
+            sections: {
+                specialConditions: { end: ['^\\(18\\)', '^Essential\\s+Health', '^DEKRA\\s+Certification\\s+B\\.?V'] }
+            }
+        },
+        {
+            // Sira and CSA Group certificates: boxes 14/15 hold the conditions
+            id: 'sira-csa',
+            name: 'Sira / CSA Group',
+            bodies: ['SIRA', 'CSA'],
+            schemes: ['ATEX', 'UKEX'],
+            labels: {
+                manufacturer: ['Applicant', 'Manufacturer'],
+                product: ['Equipment'],
+                issueDate: ['Date\\s+of\\s+Issue', 'Issue\\s+Date'],
+                specialConditions: [
+                    '(?:1[45]\\s+)?(?:Special\\s+Conditions\\s+for\\s+Safe\\s+Use|Specific\\s+Conditions\\s+of\\s+Use)(?:\\s*\\(denoted\\s+by\\s+X[^)]*\\))?'
+                ]
+            },
+            sections: {
+                specialConditions: { end: ['^1[56]\\s+(?:Essential|Conditions\\s+of\\s+Manufacture)', '^Conditions\\s+of\\s+Manufacture', '^Certificate\\s+History'] }
+            }
+        },
+        {
+            // Bilingual German/English boxes; dated "Braunschweig, <date>"
+            id: 'ptb',
+            name: 'Physikalisch-Technische Bundesanstalt',
+            bodies: ['PTB'],
+            schemes: ['ATEX'],
+            labels: {
+                manufacturer: ['\\(5\\)\\s*(?:Hersteller|Manufacturer)'],
+                product: ['\\(4\\)\\s*(?:Produkt|Product|Gerät|Equipment)'],
+                issueDate: ['Braunschweig,\\s*(?:den\\s+)?{value}'],
+                specialConditions: [
+                    '\\(17\\)\\s*(?:Besondere\\s+Bedingungen(?:\\s+für\\s+die\\s+sichere\\s+(?:Anwendung|Verwendung))?|Specific\\s+conditions\\s+of\\s+use)'
+                ]
+            },
+            sections: {
+                specialConditions: { end: ['^\\(18\\)', '^Grundlegende\\s+Sicherheits', '^Essential\\s+Health'] }
+            }
+        }
+    ];
+
+    BUILT_IN.forEach(ExParser.addProfile);
+
+    return { BUILT_IN };
+})(typeof ExParser !== 'undefined' ? ExParser : require('./parser.js'));
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExProfiles;
@@ -0,0 +1,294 @@
+/**
+ * Ex Equipment Register
+ * Persistent store of scanned certificates in IndexedDB: the full result,
+ * the raw text and the original PDF. Replaces the old localStorage history.
+ * Also writes and reads versioned JSON backups of the whole register.
+ */
+
+const ExRegister = (() => {
+    const DB_NAME = 'exscanner';
+    const DB_VERSION = 1;
+    const LEGACY_KEY = 'exscanner_history';
+    const BACKUP_FORMAT = 'exscanner-register';
+    const BACKUP_VERSION = 1;
+
+    let dbPromise = null;
+
+    // IDBRequest → Promise
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    function open() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                // scans: results with raw text; files: PDF blobs under the same id
+                const scans = db.createObjectStore('scans', { keyPath: 'id', autoIncrement: true });
+                scans.createIndex('scannedAt', 'scannedAt');
+                scans.createIndex('certNumber', 'certNumber');
+                db.createObjectStore('files');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }).then(migrate);
+        return dbPromise;
+    }
+
+    // One-time move of the localStorage history into the register
+    async function migrate(db) {
+        let legacy;
+        try { legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]'); }
+        catch { legacy = []; }
+        if (!legacy.length) return db;
+
+        const tx = db.transaction('scans', 'readwrite');
+        const store = tx.objectStore('scans');
+        // Oldest first, so ids follow scan order
+        [...legacy].reverse().forEach(item => store.add({ ...item, migrated: true }));
+        await done(tx);
+        localStorage.removeItem(LEGACY_KEY);
+        return db;
+    }
+
+    /**
+     * Store a scan result (including `raw`) and, optionally, its PDF.
+     * Resolves to the new entry's id.
+     */
+    async function add(result, file = null) {
+        const record = { ...result };
+        delete record.id;
+        if (file) record.fileHash = await hashFile(file);
+        const db = await open();
+        const tx = db.transaction(['scans', 'files'], 'readwrite');
+        const id = await request(tx.objectStore('scans').add(record));
+        if (file) tx.objectStore('files').put(file, id);
+        await done(tx);
+        return id;
+    }
+
+    async function put(entry) {
+        const db = await open();
+        const tx = db.transaction('scans', 'readwrite');
+        tx.objectStore('scans').put(entry);
+        await done(tx);
+    }
+
+    async function get(id) {
+        const db = await open();
+        return request(db.transaction('scans').objectStore('scans').get(id));
+    }
+
+    // Every entry, newest scan first
+    async function all() {
+        const db = await open();
+        const entries = await request(db.transaction('scans').objectStore('scans').getAll());
+        return entries.sort((a, b) => String(b.scannedAt || '').localeCompare(String(a.scannedAt || '')));
+    }
+
+    async function getFile(id) {
+        const db = await open();
+        return request(db.transaction('files').objectStore('files').get(id));
+    }
+
+    async function remove(id) {
+        const db = await open();
+        const tx = db.transaction(['scans', 'files'], 'readwrite');
+        tx.objectStore('scans').delete(id);
+        tx.objectStore('files').delete(id);
+        await done(tx);
+    }
+
+    async function clear() {
+        const db = await open();
+        const tx = db.transaction(['scans', 'files'], 'readwrite');
+        tx.objectStore('scans').clear();
+        tx.objectStore('files').clear();
+        await done(tx);
+    }
+
+    // SHA-256 of a file, hex encoded
+    async function hashFile(file) {
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function toBase64(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(data, type) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type: type || 'application/pdf' });
+    }
+
+    // --- Backup ---
+
+    /**
+     * The whole register as a versioned backup object, ready for
+     * JSON.stringify. With `includeFiles`, PDFs are embedded as base64.
+     */
+    async function exportBackup({ includeFiles = false } = {}) {
+        const entries = [];
+        for (const scan of await all()) {
+            const entry = { ...scan };
+            delete entry.id;
+            const file = await getFile(scan.id);
+            if (file && !entry.fileHash) entry.fileHash = await hashFile(file);
+            if (file && includeFiles) {
+                entry.file = { name: file.name || scan.fileName || null, type: file.type, data: await toBase64(file) };
+            }
+            entries.push(entry);
+        }
+        return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), entries };
+    }
+
+    /**
+     * Problems with a parsed backup file, as messages; empty when the file
+     * can be imported.
+     */
+    function validateBackup(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return ['Not a register backup'];
+        if (data.format !== BACKUP_FORMAT) return [`Unknown format "${data.format}"`];
+        if (!Number.isInteger(data.version) || data.version < 1) return ['Missing backup version'];
+        if (data.version > BACKUP_VERSION) return [`Backup version ${data.version} is newer than this app supports (${BACKUP_VERSION})`];
+        if (!Array.isArray(data.entries)) return ['Missing entries list'];
+
+        const problems = [];
+        const isText = v => v == null || typeof v === 'string';
+        data.entries.forEach((e, i) => {
+            const at = `Entry ${i + 1}`;
+            if (!e || typeof e !== 'object' || Array.isArray(e)) return problems.push(`${at}: not an object`);
+            ['certNumber', 'marking', 'fileName', 'scannedAt', 'fileHash', 'raw'].forEach(key => {
+                if (!isText(e[key])) problems.push(`${at}: ${key} must be text`);
+            });
+            ['markings', 'warnings', 'corrections', 'conditions', 'conditionChecks', 'ocrPages', 'ocrCorrections'].forEach(key => {
+                if (e[key] != null && !Array.isArray(e[key])) problems.push(`${at}: ${key} must be a list`);
+            });
+            (Array.isArray(e.corrections) ? e.corrections : []).forEach((c, j) => {
+                if (!c || typeof c.field !== 'string' || typeof c.correctedAt !== 'string') {
+                    problems.push(`${at}: correction ${j + 1} needs a field and a timestamp`);
+                }
+            });
+            if (e.file != null && (typeof e.file !== 'object' || typeof e.file.data !== 'string')) {
+                problems.push(`${at}: embedded file has no data`);
+            } else if (e.file != null) {
+                try { fromBase64(e.file.data, e.file.type); }
+                catch { problems.push(`${at}: embedded file is not valid base64`); }
+            }
+        });
+        return problems;
+    }
+
+    // Certificate number with spacing and case evened out
+    function certKey(entry) {
+        const number = entry.certParts?.canonical || entry.certNumber;
+        return number ? String(number).toUpperCase().replace(/\s+/g, '') : null;
+    }
+
+    // Entry content for comparison, without register-local fields
+    function fingerprint(entry) {
+        const { id, file, migrated, ...content } = entry;
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Match each entry of a validated backup against the register and
+     * against the entries before it in the same backup. An entry is a
+     * duplicate when its file hash or normalised certificate number is
+     * already stored or earlier in the file. Returns [{ incoming, existing,
+     * identical, inBackup }], with existing null for new entries and
+     * inBackup set when existing is an earlier backup entry.
+     */
+    async function planImport(data) {
+        const stored = await all();
+        for (const scan of stored) {
+            if (scan.fileHash) continue;
+            const file = await getFile(scan.id);
+            if (file) scan.fileHash = await hashFile(file);
+        }
+        const match = (list, incoming) => {
+            const key = certKey(incoming);
+            return list.find(s => incoming.fileHash && s.fileHash === incoming.fileHash)
+                || list.find(s => key && certKey(s) === key)
+                || null;
+        };
+        return data.entries.map((incoming, i) => {
+            const inRegister = match(stored, incoming);
+            const existing = inRegister || match(data.entries.slice(0, i), incoming);
+            const identical = !!existing && fingerprint(existing) === fingerprint(incoming);
+            return { incoming, existing, identical, inBackup: !inRegister && !!existing };
+        });
+    }
+
+    /**
+     * Apply an import plan. `choices[i]` decides a duplicate: 'existing'
+     * keeps the stored entry (or the earlier one in the backup), 'imported'
+     * replaces the stored entry, 'both' keeps the two. New entries are
+     * always added. Every file is decoded before anything is written, and
+     * the whole import is one transaction: it lands completely or not at
+     * all. Resolves to { added, replaced, skipped }.
+     */
+    async function applyImport(plan, choices = []) {
+        const counts = { added: 0, replaced: 0, skipped: 0 };
+        const writes = [];
+        for (const [i, { incoming, existing, identical, inBackup }] of plan.entries()) {
+            let choice = existing ? (identical ? 'existing' : choices[i] || 'existing') : 'both';
+            // An earlier backup entry has no stored copy to replace
+            if (inBackup && choice === 'imported') choice = 'both';
+            if (choice === 'existing') {
+                counts.skipped++;
+                continue;
+            }
+            const { file, ...entry } = incoming;
+            delete entry.id;
+            const blob = file ? fromBase64(file.data, file.type) : null;
+            if (blob) entry.fileHash = await hashFile(blob);
+            if (choice === 'imported') {
+                // Without an embedded PDF the stored one stays
+                if (!blob && existing.fileHash) entry.fileHash = existing.fileHash;
+                writes.push({ entry: { ...entry, id: existing.id }, blob, replace: true });
+            } else {
+                writes.push({ entry, blob, replace: false });
+            }
+        }
+        if (!writes.length) return counts;
+
+        const db = await open();
+        const tx = db.transaction(['scans', 'files'], 'readwrite');
+        const scans = tx.objectStore('scans');
+        const files = tx.objectStore('files');
+        for (const { entry, blob, replace } of writes) {
+            const req = replace ? scans.put(entry) : scans.add(entry);
+            if (blob) req.onsuccess = () => files.put(blob, req.result);
+            counts[replace ? 'replaced' : 'added']++;
+        }
+        await done(tx);
+        return counts;
+    }
+
+    return {
+        open, add, put, get, all, getFile, remove, clear,
+        exportBackup, validateBackup, planImport, applyImport, BACKUP_VERSION
+    };
+})();
@@ -0,0 +1,209 @@
+/**
+ * Ex Area Suitability
+ * Checks a parsed certificate against a hazardous-area classification:
+ * EPL vs zone, group hierarchy, temperature and ambient range.
+ * Builds on the ExParser group, temperature class and EPL tables.
+ */
+
+const ExSuitability = (ExParser => {
+    const GAS_ZONES = ['0', '1', '2'];
+    const DUST_ZONES = ['20', '21', '22'];
+
+    // IEC 60079-0 default when a certificate states no ambient range
+    const DEFAULT_AMBIENT = { min: -20, max: 40 };
+
+    // Within one atmosphere, a later group covers every earlier one
+    const GROUP_ORDER = {
+        gas: ['IIA', 'IIB', 'IIC'],
+        dust: ['IIIA', 'IIIB', 'IIIC']
+    };
+
+    function atmosphereOf(zone) {
+        if (GAS_ZONES.includes(zone)) return 'gas';
+        if (DUST_ZONES.includes(zone)) return 'dust';
+        return null;
+    }
+
+    function parseAmbient(str) {
+        const m = String(str || '').match(/(-?\d+)\s*°?C?\s*to\s*\+?(-?\d+)/i);
+        return m ? { min: parseInt(m[1]), max: parseInt(m[2]) } : null;
+    }
+
+    function tempLimit(tempClass) {
+        return parseInt(ExParser.TEMP_CLASS_INFO[tempClass]) || null;
+    }
+
+    function checkEpl(rating, zone) {
+        const label = 'EPL vs zone';
+        if (!rating.epl) return { id: 'epl', label, pass: null, reason: 'No EPL found on the certificate' };
+
+        // "Ga/Gb" is boundary-wall equipment: only the less protective
+        // level may be installed in the zone itself
+        const zones = rating.epl.split('/').map(e => ExParser.EPL_ZONE_MAP[e]).filter(Boolean);
+        const worst = zones.sort((a, b) => parseInt(b) - parseInt(a))[0];
+        if (!worst || atmosphereOf(worst) !== atmosphereOf(zone)) {
+            return { id: 'epl', label, pass: false, reason: `EPL ${rating.epl} is not for a Zone ${zone} atmosphere` };
+        }
+        const pass = parseInt(worst) <= parseInt(zone);
+        const boundary = zones.length > 1 ? ` (boundary installation to Zone ${zones[zones.length - 1]})` : '';
+        return {
+            id: 'epl', label, pass,
+            reason: pass
+                ? `EPL ${rating.epl} is permitted in Zone ${zone}${boundary}`
+                : `EPL ${rating.epl} is only permitted in Zone ${worst} or less hazardous areas${boundary}`
+        };
+    }
+
+    function checkGroup(rating, required, atmosphere) {
+        const label = 'Group';
+        if (!required) return { id: 'group', label, pass: null, reason: 'No site group given' };
+        if (!rating.group) return { id: 'group', label, pass: null, reason: 'No group found on the certificate' };
+
+        const order = GROUP_ORDER[atmosphere];
+        const certified = rating.group.replace('+H2', '');
+        const req = required.replace('+H2', '');
+
+        // Ungrouped "II" equipment is suitable for every gas group
+        if (certified === 'II' && atmosphere === 'gas') {
+            return { id: 'group', label, pass: true, reason: `Group II covers ${required}` };
+        }
+        if (!order.includes(certified) || !order.includes(req)) {
+            return { id: 'group', label, pass: false, reason: `Group ${rating.group} does not apply to a ${required} atmosphere` };
+        }
+
+        // IIB+H2 covers hydrogen but not the rest of IIC
+        const hydrogen = required === 'IIB+H2';
+        let pass = order.indexOf(certified) >= order.indexOf(req);
+        if (hydrogen && certified === 'IIB') pass = rating.group === 'IIB+H2';
+
+        const info = ExParser.GAS_GROUP_INFO[required];
+        return {
+            id: 'group', label, pass,
+            reason: pass
+                ? `${rating.group} covers ${required}${info ? ' (' + info + ')' : ''}`
+                : `${rating.group} does not cover ${required}${info ? ' (' + info + ')' : ''}`
+        };
+    }
+
+    function checkTemperature(rating, site, atmosphere) {
+        const label = 'Temperature';
+        const surface = rating.maxSurfaceTemp;
+        if (!surface) return { id: 'temp', label, pass: null, reason: 'No temperature rating found on the certificate' };
+
+        if (atmosphere === 'gas') {
+            if (site.tempClass) {
+                const limit = tempLimit(site.tempClass);
+                const pass = surface <= limit;
+                const shown = rating.tempClass || `T${surface}°C`;
+                return {
+                    id: 'temp', label, pass,
+                    reason: pass
+                        ? `${shown} (max ${surface}°C) meets ${site.tempClass} (≤ ${limit}°C)`
+                        : `${shown} (max ${surface}°C) exceeds ${site.tempClass} (≤ ${limit}°C)`
+                };
+            }
+            if (site.ignitionTemp != null) {
+                const pass = surface < site.ignitionTemp;
+                return {
+                    id: 'temp', label, pass,
+                    reason: `Max surface ${surface}°C ${pass ? 'is below' : 'is not below'} the ignition temperature of ${site.ignitionTemp}°C`
+                };
+            }
+            return { id: 'temp', label, pass: null, reason: 'No site temperature class or ignition temperature given' };
+        }
+
+        // Dust (IEC 60079-14): ≤ 2/3 of the cloud ignition temperature,
+        // and ≤ layer ignition temperature − 75 K
+        const limits = [];
+        if (site.ignitionTemp != null) limits.push({ value: Math.floor(site.ignitionTemp * 2 / 3), text: `2/3 of cloud ignition ${site.ignitionTemp}°C` });
+        if (site.layerIgnitionTemp != null) limits.push({ value: site.layerIgnitionTemp - 75, text: `layer ignition ${site.layerIgnitionTemp}°C − 75 K` });
+        if (!limits.length) return { id: 'temp', label, pass: null, reason: 'No site dust ignition temperature given' };
+
+        const limit = limits.reduce((a, b) => (b.value < a.value ? b : a));
+        const pass = surface <= limit.value;
+        return {
+            id: 'temp', label, pass,
+            reason: `Max surface ${surface}°C ${pass ? 'is within' : 'exceeds'} ${limit.value}°C (${limit.text})`
+        };
+    }
+
+    /**
+     * The certificate's rating at the site's maximum ambient, from its
+     * temperature rating table (gas rows carry a class, dust rows only a
+     * surface temperature). Null without a table or a site maximum.
+     */
+    function ratingAtAmbient(rows, site, atmosphere) {
+        if (!rows || !rows.length || site.ambientMax == null) return null;
+        const own = rows.filter(r => (atmosphere === 'gas') === !!r.tempClass);
+        return ExParser.tempRatingAt(own, site.ambientMax);
+    }
+
+    function checkAmbient(ambientTemp, site) {
+        const label = 'Ambient range';
+        if (site.ambientMin == null && site.ambientMax == null) {
+            return { id: 'ambient', label, pass: null, reason: 'No site ambient range given' };
+        }
+        const certified = parseAmbient(ambientTemp);
+        const range = certified || DEFAULT_AMBIENT;
+        const source = certified ? 'Certified' : 'Standard (none stated)';
+        const low = site.ambientMin == null || site.ambientMin >= range.min;
+        const high = site.ambientMax == null || site.ambientMax <= range.max;
+        const pass = low && high;
+        const siteText = site.ambientMin == null ? `up to ${site.ambientMax}°C`
+            : site.ambientMax == null ? `from ${site.ambientMin}°C`
+            : `${site.ambientMin}°C to ${site.ambientMax}°C`;
+        return {
+            id: 'ambient', label, pass,
+            reason: `${source} ${range.min}°C to +${range.max}°C ${pass ? 'covers' : 'does not cover'} site ${siteText}`
+        };
+    }
+
+    /**
+     * Check a parse() result against a site classification:
+     *   { zone, group, tempClass, ignitionTemp, layerIgnitionTemp,
+     *     ambientMin, ambientMax, model }
+     * `model` picks a variant from the equipment schedule.
+     * Returns { suitable, atmosphere, model, checks[] }; suitable is null
+     * when nothing failed but some check could not be made.
+     */
+    function check(result, site) {
+        const atmosphere = atmosphereOf(site.zone);
+        if (!atmosphere) throw new Error(`Unknown zone: ${site.zone}`);
+
+        const variant = site.model && (result.equipment || []).find(v => v.model === site.model);
+        const source = variant || result;
+        const rating = source[atmosphere];
+
+        let checks;
+        if (!rating) {
+            checks = [{
+                id: 'rating', label: 'Rating', pass: false,
+                reason: `No ${atmosphere} marking on the certificate${variant ? ' for ' + variant.model : ''}`
+            }];
+        } else {
+            // A rating table sets the temperature class at the site's ambient
+            const row = variant ? null : ratingAtAmbient(result.tempRatings, site, atmosphere);
+            const temp = checkTemperature(row ? { ...rating, tempClass: row.tempClass, maxSurfaceTemp: row.maxSurfaceTemp } : rating, site, atmosphere);
+            if (row) temp.reason += ` (rating at +${site.ambientMax}°C ambient${row.condition ? ', ' + row.condition : ''})`;
+            checks = [
+                checkEpl(rating, site.zone),
+                checkGroup(rating, site.group, atmosphere),
+                temp,
+                checkAmbient(source.ambientTemp, site)
+            ];
+        }
+
+        const failed = checks.some(c => c.pass === false);
+        const unknown = checks.some(c => c.pass === null);
+        return {
+            suitable: failed ? false : unknown ? null : true,
+            atmosphere,
+            model: variant ? variant.model : null,
+            checks
+        };
+    }
+
+    return { check, GAS_ZONES, DUST_ZONES };
+})(typeof ExParser !== 'undefined' ? ExParser : require('./parser.js'));
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExSuitability;
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * Golden-file regression suite for ExParser.parse() and the nameplate check
+ *
+ * Each fixture is an anonymised certificate text, test/fixtures/<name>.txt,
+ * with the values it should produce in <name>.json. Only the fields a
+ * .json lists are scored; keys starting with "_" are notes, except
+ * "_issuer" (the issuer to report under), "_ocr" (the text is OCR
+ * output, so it gets the scanner's OCR correction pass first) and
+ * "_register". A fixture with a "_register" (a list of certificate
+ * fixtures) is a nameplate: it is read with ExNameplate.parse() and
+ * cross-checked against that register, and scored on NAMEPLATE_FIELDS.
+ *
+ * Behaviour cases for the checks built on parse() live in
+ * test/cases/<runner>.json: a list of { name, ...inputs, expect }, run
+ * through CASE_RUNNERS[<runner>] and scored field by field on `expect`.
+ * A certificate input is a fixture name ("fixture") or a text ("text").
+ *
+ * Reports accuracy per field, per issuer and per case file. Any mismatch is a regression
+ * (exit code 1), unless known-failures.json lists it. That list is meant
+ * to stay empty: fix the parser, or drop the expectation with a "_note"
+ * saying why. An entry is added by hand, never by the runner.
+ *
+ *   node test/golden.js [--verbose] [--accept] [fixture or case file names...]
+ *
+ * --accept drops the known failures that now pass.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { isDeepStrictEqual, parseArgs } = require('node:util');
+const { ExParser, ExNameplate, ExSuitability, ExLineage, ExLoop } = require('../js/index.cjs');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const CASES = path.join(__dirname, 'cases');
+const KNOWN_FAILURES = path.join(__dirname, 'known-failures.json');
+
+// Field → its value in a parse() result, in the form the .json files use
+const FIELDS = {
+    certNumber: r => r.certNumber,
+    certType: r => r.certType,
+    marking: r => r.marking,
+    markings: r => r.markings.map(m => m.text),
+    protection: r => (r.markings[0]?.protection || []).map(p => p.code),
+    gasGroup: r => r.gas?.group ?? null,
+    tempClass: r => r.gas?.tempClass ?? null,
+    gasEpl: r => r.gas?.epl ?? null,
+    dustGroup: r => r.dust?.group ?? null,
+    dustMaxSurfaceTemp: r => r.dust?.maxSurfaceTemp ?? null,
+    dustEpl: r => r.dust?.epl ?? null,
+    zone: r => r.zone,
+    ipRating: r => r.ipRating,
+    ambientTemp: r => r.ambientTemp,
+    tempRatings: r => r.tempRatings.map(({ text, ...row }) => row),
+    manufacturer: r => r.manufacturer,
+    product: r => r.product,
+    models: r => Array.isArray(r.equipment) ? r.equipment.map(v => v.model) : [],
+    notifiedBody: r => r.notifiedBody,
+    nbNumber: r => r.nbNumber,
+    issueDate: r => r.issueDate,
+    expiryDate: r => r.expiryDate,
+    directive: r => r.directive?.text ?? null,
+    category: r => r.category,
+    group: r => r.group,
+    divisions: r => r.divisions.map(d => d.text),
+    standard: r => r.standard,
+    entity: r => r.entity,
+    conditions: r => r.conditions.map(c => c.text),
+    conditionCategories: r => r.conditions.map(c => c.categories),
+    language: r => r.language,
+    profile: r => r.profile,
+    warnings: r => ExParser.validate(r).map(w => w.code)
+};
+
+// Field → its value for a nameplate: the plate as read, and its cross-check
+const NAMEPLATE_FIELDS = {
+    certificates: ({ plate }) => plate.certificates.map(p => p.canonical),
+    serial: ({ plate }) => plate.serial,
+    year: ({ plate }) => plate.year,
+    model: ({ plate }) => plate.model,
+    markings: ({ plate }) => plate.markings.map(m => m.text),
+    verdict: ({ check }) => check.pass,
+    certificate: ({ check }) => check.certificate?.certNumber ?? null,
+    checks: ({ check }) => outcomes(check.checks)
+};
+
+// Case file name → case → its values, in the form `expect` uses
+const CASE_RUNNERS = {
+    suitability: c => {
+        const verdict = ExSuitability.check(certificate(c), c.site);
+        return { suitable: verdict.suitable, checks: outcomes(verdict.checks) };
+    },
+    lineage: c => {
+        const from = certificate(c.from), to = certificate(c.to);
+        return {
+            sameLineage: ExLineage.lineageKey(from) === ExLineage.lineageKey(to),
+            issues: [ExLineage.issueNumber(from), ExLineage.issueNumber(to)],
+            changes: ExLineage.diff(from, to).map(change)
+        };
+    },
+    loop: c => {
+        const verdict = ExLoop.check(c.source, c.device, c.cable);
+        return { pass: verdict.pass, checks: outcomes(verdict.checks) };
+    }
+};
+
+// Check list as "id: pass|fail|unknown", in order
+function outcomes(checks) {
+    return checks.map(c => `${c.id}: ${c.pass === null ? 'unknown' : c.pass ? 'pass' : 'fail'}`);
+}
+
+// Lineage change as "field kind: from → to"; an addition or removal shows its one value
+function change(d) {
+    const value = d.kind === 'added' ? d.to : d.kind === 'removed' ? d.from : `${d.from} → ${d.to}`;
+    return `${d.field} ${d.kind}: ${value}`;
+}
+
+function namesIn(dir, ext, only) {
+    const names = fs.readdirSync(dir)
+        .filter(f => f.endsWith(ext))
+        .map(f => f.slice(0, -ext.length))
+        .sort();
+    return only.length ? names.filter(n => only.includes(n)) : names;
+}
+
+// Issuing body of a fixture, for the per-issuer table
+function issuerOf(expected, result) {
+    if (expected._issuer) return expected._issuer;
+    const parts = ExParser.parseCertNumber(expected.certNumber || result.certNumber);
+    return parts ? parts.bodyName : 'unknown';
+}
+
+function readFixture(name) {
+    const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+    const text = fs.readFileSync(path.join(FIXTURES, `${name}.txt`), 'utf8');
+    return { expected, text: expected._ocr ? ExParser.correctOcr(text).text : text };
+}
+
+// parse() result for a case's certificate input
+function certificate(input) {
+    return ExParser.parse(input.fixture ? readFixture(input.fixture).text : input.text);
+}
+
+function run(names) {
+    const checks = [];
+    for (const name of names) {
+        const { expected, text } = readFixture(name);
+        let result, fields, scored;
+        if (expected._register) {
+            const register = expected._register.map(n => ExParser.parse(readFixture(n).text));
+            result = ExNameplate.parse(text);
+            fields = NAMEPLATE_FIELDS;
+            scored = { plate: result, check: ExNameplate.crossCheck(result, register) };
+        } else {
+            result = ExParser.parse(text);
+            fields = FIELDS;
+            scored = result;
+        }
+        const issuer = issuerOf(expected, result);
+        for (const [field, want] of Object.entries(expected)) {
+            if (field.startsWith('_')) continue;
+            if (!fields[field]) throw new Error(`${name}.json: unknown field "${field}"`);
+            const got = fields[field](scored);
+            checks.push({ fixture: name, issuer, field, pass: isDeepStrictEqual(got, want), expected: want, actual: got });
+        }
+    }
+    return checks;
+}
+
+function runCases(files) {
+    const checks = [];
+    for (const file of files) {
+        if (!CASE_RUNNERS[file]) throw new Error(`cases/${file}.json: no runner`);
+        for (const c of JSON.parse(fs.readFileSync(path.join(CASES, `${file}.json`), 'utf8'))) {
+            const got = CASE_RUNNERS[file](c);
+            for (const [field, want] of Object.entries(c.expect)) {
+                if (!(field in got)) throw new Error(`cases/${file}.json, ${c.name}: unknown field "${field}"`);
+                checks.push({ fixture: `${file}/${c.name}`, file, field, pass: isDeepStrictEqual(got[field], want), expected: want, actual: got[field] });
+            }
+        }
+    }
+    return checks;
+}
+
+function pct(passed, total) {
+    return total ? (passed / total * 100).toFixed(1).padStart(5) + '%' : '    —';
+}
+
+function table(title, checks, keyOf) {
+    const groups = new Map();
+    for (const c of checks) {
+        const key = keyOf(c);
+        if (!groups.has(key)) groups.set(key, { passed: 0, total: 0 });
+        groups.get(key).total++;
+        if (c.pass) groups.get(key).passed++;
+    }
+    const width = Math.max(...[...groups.keys()].map(k => k.length));
+    console.log(`\n${title}`);
+    for (const [key, g] of [...groups].sort((a, b) => a[0].localeCompare(b[0]))) {
+        console.log(`  ${key.padEnd(width)}  ${String(g.passed).padStart(3)}/${String(g.total).padEnd(3)} ${pct(g.passed, g.total)}`);
+    }
+}
+
+function show(value) {
+    return JSON.stringify(value);
+}
+
+function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: { verbose: { type: 'boolean', short: 'v' }, accept: { type: 'boolean' } }
+    });
+    const names = namesIn(FIXTURES, '.txt', positionals);
+    const files = namesIn(CASES, '.json', positionals);
+    if (!names.length && !files.length) {
+        console.error('No fixtures or cases found');
+        return 2;
+    }
+
+    const fixtureChecks = run(names);
+    const caseChecks = runCases(files);
+    const checks = [...fixtureChecks, ...caseChecks];
+    const known = new Set(fs.existsSync(KNOWN_FAILURES) ? JSON.parse(fs.readFileSync(KNOWN_FAILURES, 'utf8')) : []);
+    const id = c => `${c.fixture}:${c.field}`;
+    const failures = checks.filter(c => !c.pass);
+    const regressions = failures.filter(c => !known.has(id(c)));
+    const fixed = checks.filter(c => c.pass && known.has(id(c)));
+
+    const passed = checks.length - failures.length;
+    const cases = new Set(caseChecks.map(c => c.fixture)).size;
+    console.log(`${names.length} fixtures, ${cases} cases, ${checks.length} fields checked, ${passed} correct (${pct(passed, checks.length).trim()})`);
+    if (fixtureChecks.length) {
+        table('Per field:', fixtureChecks, c => c.field);
+        table('Per issuer:', fixtureChecks, c => c.issuer);
+    }
+    if (caseChecks.length) table('Per case file:', caseChecks, c => c.file);
+
+    const report = (title, list) => {
+        if (!list.length) return;
+        console.log(`\n${title}`);
+        for (const c of list) {
+            console.log(`  ${c.fixture} · ${c.field}`);
+            console.log(`    expected: ${show(c.expected)}`);
+            console.log(`    actual:   ${show(c.actual)}`);
+        }
+    };
+    report('Regressions:', regressions);
+    if (values.verbose) report('Known failures:', failures.filter(c => known.has(id(c))));
+    else if (failures.length > regressions.length) console.log(`\n${failures.length - regressions.length} known failures (--verbose to list)`);
+    if (fixed.length) {
+        console.log(`\nNow passing: ${fixed.map(id).join(', ')}`);
+    }
+
+    if (values.accept && fixed.length) {
+        const passing = new Set(fixed.map(id));
+        const kept = [...known].filter(k => !passing.has(k));
+        fs.writeFileSync(KNOWN_FAILURES, JSON.stringify(kept.sort(), null, 2) + '\n');
+        console.log(`\nDropped ${fixed.length} known failures from ${path.relative(process.cwd(), KNOWN_FAILURES)}`);
+    } else if (fixed.length) {
+        console.log('Run with --accept to drop them from the list.');
+    }
+    return regressions.length ? 1 : 0;
+}
+
+process.exitCode = main();